@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const { listVersionDirs, parseVersions, defineBackend } = require('./common');
+
+function getAsdfDataDir() {
+  return process.env.ASDF_DATA_DIR || path.join(os.homedir(), '.asdf');
+}
+
+function getInstallsDir() {
+  return path.join(getAsdfDataDir(), 'installs', 'nodejs');
+}
+
+const asdfBackend = defineBackend({
+  name: 'asdf',
+  label: 'asdf',
+
+  detect() {
+    return fs.existsSync(getInstallsDir()) || fs.existsSync(path.join(getAsdfDataDir(), 'plugins', 'nodejs'));
+  },
+
+  getRootDir: getAsdfDataDir,
+
+  async listInstalled() {
+    return listVersionDirs(getInstallsDir());
+  },
+
+  getVersionDir(version) {
+    const dir = path.join(getInstallsDir(), version.replace(/^v/, ''));
+    return fs.existsSync(dir) ? dir : null;
+  },
+
+  async install(version) {
+    await execa('asdf', ['install', 'nodejs', version]);
+  },
+
+  async uninstall(version) {
+    await execa('asdf', ['uninstall', 'nodejs', version]);
+  },
+
+  async exec(version, command, args = []) {
+    return execa('asdf', ['exec', command, ...args], { env: { ASDF_NODEJS_VERSION: version } });
+  },
+
+  async current() {
+    const { stdout } = await execa('asdf', ['current', 'nodejs']);
+    return parseVersions(stdout)[0] || null;
+  },
+
+  async listRemote() {
+    const { stdout } = await execa('asdf', ['list', 'all', 'nodejs']);
+    return parseVersions(stdout);
+  },
+
+  // The global version is the nodejs line of ~/.tool-versions
+  getDefault(installedVersions) {
+    const toolVersions = path.join(
+      os.homedir(),
+      process.env.ASDF_DEFAULT_TOOL_VERSIONS_FILENAME || '.tool-versions'
+    );
+    try {
+      const line = fs
+        .readFileSync(toolVersions, 'utf-8')
+        .split('\n')
+        .find((entry) => /^nodejs\s/.test(entry.trim()));
+      const version = line && line.trim().split(/\s+/)[1];
+      return installedVersions.includes(version) ? version : null;
+    } catch {
+      return null;
+    }
+  },
+
+  getCacheDir() {
+    return path.join(getAsdfDataDir(), 'downloads', 'nodejs');
+  },
+});
+
+module.exports = {
+  asdfBackend,
+};
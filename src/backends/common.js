@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_DIR_PATTERN = /^v?\d+\.\d+\.\d+$/;
+
+function isWindows() {
+  return process.platform === 'win32';
+}
+
+/**
+ * Versions stored as `<dir>/<version>` or `<dir>/v<version>` directories
+ * @param {string} dir
+ * @returns {string[]} bare versions, empty when the directory does not exist
+ */
+function listVersionDirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => VERSION_DIR_PATTERN.test(name) && fs.statSync(path.join(dir, name)).isDirectory())
+    .map((name) => name.replace(/^v/, ''));
+}
+
+/**
+ * Unique bare versions mentioned in a version manager's output, in order of appearance
+ * @param {string} output
+ * @returns {string[]}
+ */
+function parseVersions(output) {
+  const matches = output.match(/\bv?\d+\.\d+\.\d+\b/g) || [];
+  return [...new Set(matches.map((version) => version.replace(/^v/, '')))];
+}
+
+/**
+ * First directory on PATH that contains a node executable
+ * @returns {string|null}
+ */
+function findNodeOnPath() {
+  const executable = isWindows() ? 'node.exe' : 'node';
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.find((dir) => fs.existsSync(path.join(dir, executable))) || null;
+}
+
+/**
+ * Whether a path is inside (or equal to) a directory
+ * @param {string} child
+ * @param {string} parent
+ * @returns {boolean}
+ */
+function isInside(child, parent) {
+  const relative = path.relative(path.resolve(parent), path.resolve(child));
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Complete a backend definition with the behaviour most version managers share.
+ *
+ * A backend is a plain object:
+ * - name, label: id used by --backend and a display name
+ * - detect(): whether the manager is set up on this machine
+ * - getRootDir(): directory the manager keeps its state in
+ * - listInstalled(): Promise<string[]> installed versions
+ * - getVersionDir(version): install prefix of a version, or null
+ * - install(version) / uninstall(version): Promise, rejects on failure
+ * - exec(version, command, args): run a command with that version active (execa result)
+ * - current(): Promise<string|null> version active in a new shell
+ * - listRemote(): Promise<string[]> versions available to install
+ * Optional: getGlobalModulesDir(version), listGlobalPackageDirs(version), use(version),
+ * isListed(version), getDefault(installedVersions), getCacheDir()
+ * @param {object} backend
+ * @returns {object}
+ */
+function defineBackend(backend) {
+  return {
+    getGlobalModulesDir(version) {
+      const versionDir = this.getVersionDir(version);
+      if (!versionDir) return null;
+      return isWindows() ? path.join(versionDir, 'node_modules') : path.join(versionDir, 'lib', 'node_modules');
+    },
+    getNodeExecutable(version) {
+      const versionDir = this.getVersionDir(version);
+      if (!versionDir) return null;
+      return isWindows() ? path.join(versionDir, 'node.exe') : path.join(versionDir, 'bin', 'node');
+    },
+    async use(version) {
+      await this.exec(version, 'node', ['--version']);
+    },
+    async isListed(version) {
+      return (await this.listInstalled()).includes(version);
+    },
+    async listRemote() {
+      const { loadReleaseIndex } = require('../release-index');
+      return (await loadReleaseIndex()).map((release) => release.version);
+    },
+    getDefault() {
+      return null;
+    },
+    getCacheDir() {
+      return null;
+    },
+    ...backend,
+  };
+}
+
+module.exports = {
+  isWindows,
+  listVersionDirs,
+  parseVersions,
+  findNodeOnPath,
+  isInside,
+  defineBackend,
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const { isWindows, listVersionDirs, parseVersions, defineBackend } = require('./common');
+
+/**
+ * fnm's base directory: FNM_DIR, else the platform data directory
+ * (~/.fnm is still used when it exists, as older fnm releases created it)
+ * @returns {string}
+ */
+function getFnmDir() {
+  if (process.env.FNM_DIR) return process.env.FNM_DIR;
+  if (isWindows()) {
+    return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'fnm');
+  }
+  const legacyDir = path.join(os.homedir(), '.fnm');
+  if (fs.existsSync(legacyDir)) return legacyDir;
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', 'fnm');
+  }
+  return path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'fnm');
+}
+
+const fnmBackend = defineBackend({
+  name: 'fnm',
+  label: 'fnm',
+
+  detect() {
+    return (
+      Boolean(process.env.FNM_DIR || process.env.FNM_MULTISHELL_PATH) ||
+      fs.existsSync(path.join(getFnmDir(), 'node-versions'))
+    );
+  },
+
+  getRootDir: getFnmDir,
+
+  async listInstalled() {
+    return listVersionDirs(path.join(getFnmDir(), 'node-versions'));
+  },
+
+  getVersionDir(version) {
+    const bare = version.replace(/^v/, '');
+    const dir = path.join(getFnmDir(), 'node-versions', `v${bare}`, 'installation');
+    return fs.existsSync(dir) ? dir : null;
+  },
+
+  async install(version) {
+    await execa('fnm', ['install', version]);
+  },
+
+  async uninstall(version) {
+    await execa('fnm', ['uninstall', version]);
+  },
+
+  async exec(version, command, args = []) {
+    return execa('fnm', ['exec', `--using=${version}`, command, ...args]);
+  },
+
+  async current() {
+    const { stdout } = await execa('fnm', ['current']);
+    return parseVersions(stdout)[0] || null;
+  },
+
+  async isListed(version) {
+    try {
+      const { stdout } = await execa('fnm', ['list']);
+      return parseVersions(stdout).includes(version);
+    } catch {
+      return false;
+    }
+  },
+
+  async listRemote() {
+    const { stdout } = await execa('fnm', ['ls-remote']);
+    return parseVersions(stdout);
+  },
+
+  getDefault(installedVersions) {
+    try {
+      const target = fs.realpathSync(path.join(getFnmDir(), 'aliases', 'default'));
+      const version = parseVersions(target)[0];
+      return installedVersions.includes(version) ? version : null;
+    } catch {
+      return null;
+    }
+  },
+});
+
+module.exports = {
+  fnmBackend,
+};
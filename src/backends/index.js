@@ -0,0 +1,80 @@
+const { findNodeOnPath, isInside } = require('./common');
+const { nvmBackend } = require('./nvm');
+const { fnmBackend } = require('./fnm');
+const { voltaBackend } = require('./volta');
+const { nBackend } = require('./n');
+const { asdfBackend } = require('./asdf');
+const { nodenvBackend } = require('./nodenv');
+
+/** Supported version managers, in auto-detection order */
+const BACKENDS = [nvmBackend, fnmBackend, voltaBackend, asdfBackend, nodenvBackend, nBackend];
+
+const BACKEND_NAMES = BACKENDS.map((backend) => backend.name);
+
+let activeBackend = null;
+
+/**
+ * Look up a backend by name
+ * @param {string} name
+ * @returns {object}
+ * @throws {Error} for unknown names
+ */
+function findBackend(name) {
+  const backend = BACKENDS.find((candidate) => candidate.name === name.trim().toLowerCase());
+  if (!backend) {
+    throw new Error(`Unknown backend '${name}'. Use one of: ${BACKEND_NAMES.join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Version managers set up on this machine
+ * @returns {object[]}
+ */
+function detectBackends() {
+  return BACKENDS.filter((backend) => backend.detect());
+}
+
+/**
+ * Pick the version manager to use: NVM_MANAGER_BACKEND, else the detected manager
+ * that provides the `node` on PATH, else the first detected one. Falls back to nvm.
+ * @returns {object}
+ */
+function detectBackend() {
+  if (process.env.NVM_MANAGER_BACKEND) {
+    return findBackend(process.env.NVM_MANAGER_BACKEND);
+  }
+  const available = detectBackends();
+  const nodeDir = findNodeOnPath();
+  const owner = nodeDir && available.find((backend) => isInside(nodeDir, backend.getRootDir()));
+  return owner || available[0] || nvmBackend;
+}
+
+/**
+ * Backend used by all commands, detected on first use unless set with setBackend
+ * @returns {object}
+ */
+function getBackend() {
+  if (!activeBackend) {
+    activeBackend = detectBackend();
+  }
+  return activeBackend;
+}
+
+/**
+ * Override the detected backend (the global --backend option)
+ * @param {string} name
+ * @throws {Error} for unknown names
+ */
+function setBackend(name) {
+  activeBackend = findBackend(name);
+}
+
+module.exports = {
+  BACKENDS,
+  BACKEND_NAMES,
+  findBackend,
+  detectBackends,
+  getBackend,
+  setBackend,
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const execa = require('execa');
+const { isWindows, listVersionDirs, parseVersions, defineBackend } = require('./common');
+
+function getNPrefix() {
+  return process.env.N_PREFIX || '/usr/local';
+}
+
+function getVersionsDir() {
+  return path.join(getNPrefix(), 'n', 'versions', 'node');
+}
+
+/**
+ * Version n has copied into the prefix, i.e. the one `node` runs
+ * @returns {string|null}
+ */
+function getActiveVersion() {
+  try {
+    const { stdout } = execa.sync(path.join(getNPrefix(), 'bin', 'node'), ['--version']);
+    return parseVersions(stdout)[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * n copies the active version into N_PREFIX, so its globals live in the prefix while
+ * globals of other cached versions live in their cache directory.
+ */
+const nBackend = defineBackend({
+  name: 'n',
+  label: 'n',
+
+  detect() {
+    return !isWindows() && (Boolean(process.env.N_PREFIX) || fs.existsSync(getVersionsDir()));
+  },
+
+  getRootDir: getNPrefix,
+
+  async listInstalled() {
+    return listVersionDirs(getVersionsDir());
+  },
+
+  getVersionDir(version) {
+    const dir = path.join(getVersionsDir(), version.replace(/^v/, ''));
+    return fs.existsSync(dir) ? dir : null;
+  },
+
+  getGlobalModulesDir(version) {
+    if (version === getActiveVersion()) {
+      return path.join(getNPrefix(), 'lib', 'node_modules');
+    }
+    const versionDir = this.getVersionDir(version);
+    return versionDir ? path.join(versionDir, 'lib', 'node_modules') : null;
+  },
+
+  async install(version) {
+    // Download without making it the active version
+    await execa('n', ['--download', version]);
+  },
+
+  async uninstall(version) {
+    await execa('n', ['rm', version]);
+  },
+
+  async exec(version, command, args = []) {
+    return execa('n', ['exec', version, command, ...args]);
+  },
+
+  async current() {
+    return getActiveVersion();
+  },
+
+  async listRemote() {
+    const { stdout } = await execa('n', ['ls-remote', '--all']);
+    return parseVersions(stdout);
+  },
+
+  getDefault(installedVersions) {
+    const version = getActiveVersion();
+    return installedVersions.includes(version) ? version : null;
+  },
+});
+
+module.exports = {
+  nBackend,
+};
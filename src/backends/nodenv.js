@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const { listVersionDirs, parseVersions, defineBackend } = require('./common');
+
+function getNodenvRoot() {
+  return process.env.NODENV_ROOT || path.join(os.homedir(), '.nodenv');
+}
+
+const nodenvBackend = defineBackend({
+  name: 'nodenv',
+  label: 'nodenv',
+
+  detect() {
+    return Boolean(process.env.NODENV_ROOT) || fs.existsSync(path.join(getNodenvRoot(), 'versions'));
+  },
+
+  getRootDir: getNodenvRoot,
+
+  async listInstalled() {
+    return listVersionDirs(path.join(getNodenvRoot(), 'versions'));
+  },
+
+  getVersionDir(version) {
+    const dir = path.join(getNodenvRoot(), 'versions', version.replace(/^v/, ''));
+    return fs.existsSync(dir) ? dir : null;
+  },
+
+  async install(version) {
+    await execa('nodenv', ['install', version]);
+  },
+
+  async uninstall(version) {
+    await execa('nodenv', ['uninstall', '-f', version]);
+  },
+
+  async exec(version, command, args = []) {
+    return execa('nodenv', ['exec', command, ...args], { env: { NODENV_VERSION: version } });
+  },
+
+  async current() {
+    const { stdout } = await execa('nodenv', ['version-name']);
+    return parseVersions(stdout)[0] || null;
+  },
+
+  async listRemote() {
+    const { stdout } = await execa('nodenv', ['install', '--list']);
+    return parseVersions(stdout);
+  },
+
+  getDefault(installedVersions) {
+    try {
+      const version = fs.readFileSync(path.join(getNodenvRoot(), 'version'), 'utf-8').trim();
+      return installedVersions.includes(version) ? version : null;
+    } catch {
+      return null;
+    }
+  },
+});
+
+module.exports = {
+  nodenvBackend,
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const chalk = require('chalk');
+const semver = require('semver');
+const { isWindows, listVersionDirs, parseVersions, defineBackend } = require('./common');
+const { quotePosixArg, toCommandLine } = require('../shell');
+
+/** npm's Windows entry points are batch files, whose arguments cmd.exe parses twice */
+const WINDOWS_BATCH_COMMANDS = ['npm', 'npx', 'corepack'];
+
+function getNvmDir() {
+  if (isWindows()) {
+    return process.env.NVM_HOME || path.join(os.homedir(), 'AppData', 'Roaming', 'nvm');
+  } else {
+    return process.env.NVM_DIR || `${process.env.HOME}/.nvm`;
+  }
+}
+
+/**
+ * Shell prelude that loads nvm, which is a shell function rather than an executable
+ * @returns {string}
+ */
+function getNvmSourceCmd() {
+  return `export NVM_DIR=${quotePosixArg(getNvmDir())}; . "$NVM_DIR/nvm.sh"`;
+}
+
+async function runNvmCmd(args, opts = {}) {
+  if (isWindows()) {
+    // nvm-windows is an executable, so no shell is needed
+    return execa("nvm", args, opts);
+  } else {
+    // Source nvm and run the command in a shell session, every argument quoted
+    const cmd = `${getNvmSourceCmd()}; ${toCommandLine(["nvm", ...args])}`;
+    return execa(cmd, { shell: true, ...opts });
+  }
+}
+
+/**
+ * Installed versions from the nvm / nvm-windows version directories
+ * @returns {string[]}
+ */
+function listInstalled() {
+  const nvmDir = getNvmDir();
+  // Windows: nvm-windows stores versions in the NVM_HOME root.
+  // Unix: $NVM_DIR/versions/node/* (nvm >=0.33.0), falling back to the legacy $NVM_DIR/*
+  const standardDir = path.join(nvmDir, "versions", "node");
+  const nodeDir = isWindows() || !fs.existsSync(standardDir) ? nvmDir : standardDir;
+  if (!fs.existsSync(nodeDir)) {
+    console.error(
+      chalk.yellow(
+        isWindows()
+          ? `[nvm-manager] NVM_HOME directory ${nvmDir} does not exist`
+          : `[nvm-manager] Neither ${standardDir} nor ${nvmDir} exist`
+      )
+    );
+    return [];
+  }
+  const versions = listVersionDirs(nodeDir);
+  if (versions.length === 0) {
+    const fallback = !isWindows() && nodeDir === nvmDir ? "fallback " : "";
+    console.error(chalk.yellow(`[nvm-manager] No versions found in ${fallback}${nodeDir}`));
+  }
+  return versions;
+}
+
+/**
+ * Resolve an nvm alias (e.g. 'default', 'lts/*', 'node', '20') to an installed version.
+ * Aliases are files under $NVM_DIR/alias and may point at other aliases.
+ * nvm-windows has no aliases, so this returns null there.
+ * @param {string} alias
+ * @param {string[]} installedVersions
+ * @returns {string|null} installed version or null if it cannot be resolved
+ */
+function resolveNvmAlias(alias, installedVersions) {
+  if (isWindows()) return null;
+  const sorted = [...installedVersions].sort(semver.rcompare);
+  let target = alias.trim();
+
+  // Follow alias chains, guarding against cycles
+  for (let depth = 0; depth < 10; depth++) {
+    if (target === "node" || target === "stable") {
+      return sorted[0] || null;
+    }
+    const prefix = target.replace(/^v/, "");
+    if (/^\d+(\.\d+){0,2}$/.test(prefix)) {
+      return (
+        sorted.find(
+          (version) => version === prefix || version.startsWith(`${prefix}.`)
+        ) || null
+      );
+    }
+    const aliasFile = path.join(getNvmDir(), "alias", target);
+    if (!fs.existsSync(aliasFile)) return null;
+    target = fs.readFileSync(aliasFile, "utf-8").trim();
+  }
+  return null;
+}
+
+const nvmBackend = defineBackend({
+  name: 'nvm',
+  label: isWindows() ? 'nvm-windows' : 'nvm',
+
+  detect() {
+    if (isWindows()) {
+      return Boolean(process.env.NVM_HOME) || fs.existsSync(getNvmDir());
+    }
+    return Boolean(process.env.NVM_DIR) || fs.existsSync(path.join(getNvmDir(), 'nvm.sh'));
+  },
+
+  getRootDir: getNvmDir,
+
+  async listInstalled() {
+    return listInstalled();
+  },
+
+  getVersionDir(version) {
+    const nvmDir = getNvmDir();
+    const bare = version.replace(/^v/, '');
+    const candidates = isWindows()
+      ? [path.join(nvmDir, `v${bare}`), path.join(nvmDir, bare)]
+      : [
+          path.join(nvmDir, 'versions', 'node', `v${bare}`),
+          // Legacy nvm layout, versions directly under $NVM_DIR
+          path.join(nvmDir, `v${bare}`),
+        ];
+    return candidates.find((dir) => fs.existsSync(dir)) || null;
+  },
+
+  async install(version) {
+    await runNvmCmd(['install', version]);
+  },
+
+  async uninstall(version) {
+    await runNvmCmd(['uninstall', version]);
+  },
+
+  async use(version) {
+    await runNvmCmd(['use', version]);
+  },
+
+  async exec(version, command, args = []) {
+    if (isWindows()) {
+      const batchFile = WINDOWS_BATCH_COMMANDS.includes(command);
+      const cmd = `${toCommandLine(['nvm', 'use', version])} > NUL && ${toCommandLine([command, ...args], { batchFile })}`;
+      return execa(cmd, { shell: true });
+    }
+    const cmd = `${getNvmSourceCmd()}; nvm use ${quotePosixArg(version)} > /dev/null && ${toCommandLine([command, ...args])}`;
+    return execa(cmd, { shell: true });
+  },
+
+  async current() {
+    const { stdout } = await runNvmCmd(['current']);
+    const version = stdout.trim().replace(/^v/, '');
+    return /^\d+\.\d+\.\d+$/.test(version) ? version : null;
+  },
+
+  async isListed(version) {
+    try {
+      const { stdout } = await runNvmCmd(['list']);
+      const regex = new RegExp(`\\b${version.replace(/\./g, '\\.')}\\b`);
+      return regex.test(stdout);
+    } catch {
+      return false;
+    }
+  },
+
+  async listRemote() {
+    const { stdout } = await runNvmCmd(isWindows() ? ['list', 'available'] : ['ls-remote']);
+    return parseVersions(stdout);
+  },
+
+  getDefault(installedVersions) {
+    return resolveNvmAlias('default', installedVersions);
+  },
+
+  // nvm-windows keeps no download cache
+  getCacheDir() {
+    return isWindows() ? null : path.join(getNvmDir(), '.cache');
+  },
+});
+
+module.exports = {
+  nvmBackend,
+  getNvmDir,
+  runNvmCmd,
+  resolveNvmAlias,
+};
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const execa = require('execa');
+const { isWindows, listVersionDirs, parseVersions, defineBackend } = require('./common');
+
+function getVoltaHome() {
+  if (process.env.VOLTA_HOME) return process.env.VOLTA_HOME;
+  if (isWindows()) {
+    return path.join(process.env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'Volta');
+  }
+  return path.join(os.homedir(), '.volta');
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Node.js version a Volta package config is pinned to.
+ * Older Volta releases store the version directly, newer ones as `{runtime}`.
+ * @param {object} config contents of tools/user/packages/<name>.json
+ * @returns {string|null}
+ */
+function getPinnedNode(config) {
+  const node = config && config.platform && config.platform.node;
+  if (!node) return null;
+  return typeof node === 'string' ? node : node.runtime || null;
+}
+
+/**
+ * Volta installs each global package as an isolated tool pinned to a Node.js version,
+ * so a version's "globals" are the tools pinned to it rather than a node_modules folder.
+ */
+const voltaBackend = defineBackend({
+  name: 'volta',
+  label: 'Volta',
+
+  detect() {
+    return Boolean(process.env.VOLTA_HOME) || fs.existsSync(path.join(getVoltaHome(), 'tools', 'image', 'node'));
+  },
+
+  getRootDir: getVoltaHome,
+
+  async listInstalled() {
+    return listVersionDirs(path.join(getVoltaHome(), 'tools', 'image', 'node'));
+  },
+
+  getVersionDir(version) {
+    const dir = path.join(getVoltaHome(), 'tools', 'image', 'node', version.replace(/^v/, ''));
+    return fs.existsSync(dir) ? dir : null;
+  },
+
+  getGlobalModulesDir() {
+    return null;
+  },
+
+  async listGlobalPackageDirs(version) {
+    const configDir = path.join(getVoltaHome(), 'tools', 'user', 'packages');
+    if (!fs.existsSync(configDir)) return [];
+    return fs
+      .readdirSync(configDir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => readJson(path.join(configDir, file)))
+      .filter((config) => config && config.name && getPinnedNode(config) === version)
+      .map((config) => {
+        const imageDir = path.join(getVoltaHome(), 'tools', 'image', 'packages', config.name);
+        return isWindows()
+          ? path.join(imageDir, 'node_modules', config.name)
+          : path.join(imageDir, 'lib', 'node_modules', config.name);
+      });
+  },
+
+  async install(version) {
+    // `volta install node@x` would also change the default, fetch and unpack instead
+    await execa('volta', ['fetch', `node@${version}`]);
+    await execa('volta', ['run', '--node', version, 'node', '--version']);
+  },
+
+  // Volta has no command to remove a Node.js image
+  async uninstall(version) {
+    const dir = this.getVersionDir(version);
+    if (!dir) throw new Error(`Node.js ${version} is not installed with Volta`);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  },
+
+  async exec(version, command, args = []) {
+    return execa('volta', ['run', '--node', version, command, ...args]);
+  },
+
+  async current() {
+    const { stdout } = await execa('volta', ['list', 'node', '--current', '--format', 'plain']);
+    return parseVersions(stdout)[0] || null;
+  },
+
+  getDefault(installedVersions) {
+    const platform = readJson(path.join(getVoltaHome(), 'tools', 'user', 'platform.json'));
+    const version = getPinnedNode(platform);
+    return installedVersions.includes(version) ? version : null;
+  },
+
+  getCacheDir() {
+    return path.join(getVoltaHome(), 'tools', 'inventory', 'node');
+  },
+});
+
+module.exports = {
+  voltaBackend,
+};
@@ -0,0 +1,96 @@
+const chalk = require('chalk');
+const { table } = require('table');
+const { getBackend } = require('../backends');
+const { getInstalledNodeVersions, EXIT_CODES } = require('../utils');
+const {
+  loadReleaseIndex,
+  loadReleaseSchedule,
+  getLineStatus,
+  getSecurityStatus,
+} = require('../release-index');
+
+const STATUS_LABELS = {
+  current: chalk.blue('current'),
+  'active-lts': chalk.green('active LTS'),
+  maintenance: chalk.yellow('maintenance'),
+  eol: chalk.red('EOL'),
+  unknown: chalk.gray('unknown'),
+};
+
+/**
+ * Check installed Node.js versions against the release schedule and security releases
+ * @param {{json?: boolean}} [options]
+ */
+async function auditVersionsCommand(options = {}) {
+  const installedVersions = await getInstalledNodeVersions();
+  if (installedVersions.length === 0) {
+    console.log(chalk.yellow(`No Node.js versions found installed with ${getBackend().label}.`));
+    return;
+  }
+
+  let releases;
+  try {
+    releases = await loadReleaseIndex();
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  let schedule = null;
+  try {
+    schedule = await loadReleaseSchedule();
+  } catch (error) {
+    console.error(chalk.yellow('Warning: release schedule unavailable, EOL status unknown.'), error.message);
+  }
+
+  const results = installedVersions.map((version) => {
+    const { status, line, end } = getLineStatus(version, schedule);
+    const { fixedIn, latestInLine } = getSecurityStatus(version, releases);
+    return {
+      version,
+      line,
+      status,
+      eolDate: end,
+      vulnerable: Boolean(fixedIn),
+      securityFixedIn: fixedIn,
+      latestInLine,
+    };
+  });
+
+  const flagged = results.filter((result) => result.status === 'eol' || result.vulnerable);
+  if (flagged.length > 0) {
+    process.exitCode = EXIT_CODES.ISSUES_FOUND;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan('=== Node.js version audit ==='));
+  const tableData = [['Node Version', 'Status', 'End of Life', 'Security', 'Latest in Line']];
+  results.forEach((result) => {
+    tableData.push([
+      result.version,
+      STATUS_LABELS[result.status],
+      result.eolDate || '-',
+      result.vulnerable
+        ? chalk.red(`vulnerable, fixed in ${result.securityFixedIn}`)
+        : chalk.green('ok'),
+      result.latestInLine || '(installed is latest)',
+    ]);
+  });
+  console.log(table(tableData));
+
+  if (flagged.length > 0) {
+    console.log(
+      chalk.red(`⚠️  ${flagged.length} version(s) are end-of-life or missing security fixes: `) +
+        flagged.map((result) => result.version).join(', ')
+    );
+  } else {
+    console.log(chalk.green('✅ All installed Node.js versions are supported and patched.'));
+  }
+}
+
+module.exports = auditVersionsCommand;
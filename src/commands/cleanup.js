@@ -1,19 +1,70 @@
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const semver = require('semver');
+const { table } = require('table');
+const { getBackend } = require('../backends');
 const {
   getInstalledNodeVersions,
   getLatestLtsVersion,
   switchNodeVersion,
   uninstallNodeVersion,
-  normalizeInput
+  normalizeInput,
+  EXIT_CODES,
+  parseListOption,
+  abortIfNonInteractive,
+  getDefaultNodeVersion,
+  getNodeVersionDir
 } = require('../utils');
+const { getDirectorySize, formatBytes } = require('../disk-usage');
+const { computeRetentionPlan, getVersionInstallTime } = require('../retention');
+const { scanProjects, getProtectedVersions } = require('../projects');
+const { loadReleaseIndex } = require('../release-index');
+const { getConfigValue, resolveOption, shouldSkipPrompts } = require('../config');
+
+/**
+ * Cleanup command handler. Options not given fall back to the config (see config.js).
+ * @param {object} [options]
+ * @param {boolean} [options.yes] uninstall every candidate without prompting
+ * @param {string} [options.keep] extra versions to preserve
+ * @param {string} [options.only] restrict removal to these versions
+ * @param {boolean} [options.keepLtsLatest] keep the newest patch of each LTS major
+ * @param {string} [options.keepRecent] keep the N most recently installed versions
+ * @param {boolean} [options.keepActive] keep the current and default versions (default true)
+ * @param {string[]} [options.keepRange] keep versions matching these semver ranges
+ * @param {string} [options.projects] workspace directories whose projects' versions are kept
+ * @param {boolean} [options.sortBySize] offer the versions that free the most space first
+ */
+async function cleanupCommand(options = {}) {
+  const keepRanges = resolveOption(options.keepRange, 'keepRange');
+  const invalidRange = keepRanges.find(range => !semver.validRange(range));
+  if (invalidRange) {
+    console.error(chalk.red(`Invalid semver range for --keep-range: ${invalidRange}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const keepRecent = options.keepRecent ? parseInt(options.keepRecent, 10) : getConfigValue('keepRecent');
+  if (Number.isNaN(keepRecent) || keepRecent < 0) {
+    console.error(chalk.red(`Invalid number for --keep-recent: ${options.keepRecent}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const policy = {
+    keep: resolveOption(parseListOption(options.keep, { versions: true }), 'keep').map(ver => ver.replace(/^v/, '')),
+    only: parseListOption(options.only, { versions: true }),
+    keepLtsLatest: Boolean(resolveOption(options.keepLtsLatest, 'keepLtsLatest')),
+    keepRecent,
+    keepActive: options.keepActive !== false,
+    keepRanges,
+  };
 
-async function cleanupCommand() {
   console.log(chalk.cyan('=== Cleanup: Remove Node.js versions except latest stable LTS ==='));
 
   const latestLts = await getLatestLtsVersion();
   if (!latestLts) {
     console.error(chalk.red('Could not detect latest stable LTS version.'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
@@ -27,24 +78,86 @@ async function cleanupCommand() {
 
   const installedVersions = await getInstalledNodeVersions();
   if (installedVersions.length === 0) {
-    console.log(chalk.yellow('No Node.js versions found installed with nvm.'));
+    console.log(chalk.yellow(`No Node.js versions found installed with ${getBackend().label}.`));
     return;
   }
 
-  // Filter out latest LTS from uninstall list
-  const toUninstall = installedVersions.filter(ver => ver !== latestLts);
+  let ltsMajors;
+  try {
+    const releases = await loadReleaseIndex();
+    ltsMajors = new Set(releases.filter(release => release.lts).map(release => semver.major(release.version)));
+  } catch {
+    // getLatestLtsVersion already reported the problem; fall back to even majors
+  }
+
+  // nvm-manager runs under the Node version active in the user's shell
+  const context = {
+    ltsMajors,
+    latestLts,
+    currentVersion: process.versions.node,
+    defaultVersion: getDefaultNodeVersion(installedVersions),
+    installTimes: Object.fromEntries(
+      installedVersions.map(ver => [ver, getVersionInstallTime(ver)])
+    ),
+  };
+  const projectDirs = resolveOption(parseListOption(options.projects), 'projects');
+  if (projectDirs.length > 0) {
+    policy.protect = getProtectedVersions(scanProjects(projectDirs, installedVersions, { maxDepth: getConfigValue('scanDepth') }));
+  }
+  const plan = computeRetentionPlan(installedVersions, policy, context);
+
+  // Size of each removal candidate, i.e. the space its uninstall reclaims
+  const sizes = {};
+  for (const version of plan.remove) {
+    const versionDir = getNodeVersionDir(version);
+    sizes[version] = versionDir ? await getDirectorySize(versionDir) : 0;
+  }
+  const toUninstall = options.sortBySize
+    ? [...plan.remove].sort((a, b) => sizes[b] - sizes[a])
+    : plan.remove;
+
+  const planTable = [['Version', 'Plan', 'Size', 'Reason']];
+  plan.keep.forEach(({ version, reasons }) =>
+    planTable.push([version, chalk.green('keep'), '', reasons.join(', ')])
+  );
+  toUninstall.forEach(version =>
+    planTable.push([version, chalk.red('remove'), formatBytes(sizes[version]), 'no retention rule matched'])
+  );
+  console.log(chalk.cyan('\nRetention plan:'));
+  console.log(table(planTable));
+  if (toUninstall.length > 0) {
+    const reclaimable = toUninstall.reduce((sum, version) => sum + sizes[version], 0);
+    console.log(chalk.blue(`Removing every candidate would reclaim ${formatBytes(reclaimable)}.\n`));
+  }
 
   if (toUninstall.length === 0) {
-    console.log(chalk.green('No Node.js versions to uninstall (only latest LTS is installed).'));
+    console.log(chalk.green('No Node.js versions to uninstall.'));
     return;
   }
 
-  console.log(chalk.yellow('\nNode.js versions available for uninstallation:'));
-  toUninstall.forEach(ver => console.log(chalk.gray(`  ${ver}`)));
-  console.log('');
+  const yes = shouldSkipPrompts(options);
+  if (!yes && abortIfNonInteractive('Re-run with --yes to uninstall without prompting.')) {
+    return;
+  }
 
   let skipAll = false;
-  let uninstallAll = false;
+  let uninstallAll = yes;
+  let failures = 0;
+  let reclaimed = 0;
+
+  const uninstall = async (version) => {
+    const success = await uninstallNodeVersion(version);
+    if (success) {
+      reclaimed += sizes[version];
+      console.log(
+        chalk.green(`✅ Successfully uninstalled Node.js version ${version}`) +
+          chalk.gray(` (${formatBytes(reclaimed)} reclaimed so far)`)
+      );
+    } else {
+      console.log(chalk.red(`❌ Failed to uninstall Node.js version ${version}`));
+      failures++;
+    }
+  };
 
   for (const version of toUninstall) {
     if (skipAll) {
@@ -54,12 +167,7 @@ async function cleanupCommand() {
 
     if (uninstallAll) {
       console.log(chalk.blue(`Uninstalling Node.js version ${version} (uninstall all enabled).`));
-      const success = await uninstallNodeVersion(version);
-      if (success) {
-        console.log(chalk.green(`✅ Successfully uninstalled Node.js version ${version}`));
-      } else {
-        console.log(chalk.red(`❌ Failed to uninstall Node.js version ${version}`));
-      }
+      await uninstall(version);
       continue;
     }
 
@@ -82,12 +190,7 @@ async function cleanupCommand() {
     switch (answer.action) {
       case 'y':
         console.log(chalk.blue(`Uninstalling Node.js version ${version}...`));
-        const success = await uninstallNodeVersion(version);
-        if (success) {
-          console.log(chalk.green(`✅ Successfully uninstalled Node.js version ${version}`));
-        } else {
-          console.log(chalk.red(`❌ Failed to uninstall Node.js version ${version}`));
-        }
+        await uninstall(version);
         break;
 
       case 'n':
@@ -96,12 +199,7 @@ async function cleanupCommand() {
 
       case 'y-all':
         console.log(chalk.blue(`Uninstalling Node.js version ${version} and all remaining versions...`));
-        const successAll = await uninstallNodeVersion(version);
-        if (successAll) {
-          console.log(chalk.green(`✅ Successfully uninstalled Node.js version ${version}`));
-        } else {
-          console.log(chalk.red(`❌ Failed to uninstall Node.js version ${version}`));
-        }
+        await uninstall(version);
         uninstallAll = true;
         break;
 
@@ -112,6 +210,16 @@ async function cleanupCommand() {
     }
   }
 
+  if (reclaimed > 0) {
+    console.log(chalk.blue(`\nReclaimed ${formatBytes(reclaimed)} of disk space.`));
+  }
+
+  if (failures > 0) {
+    console.log(chalk.yellow(`\n⚠️  Cleanup finished with ${failures} failed uninstall(s).`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
   console.log(chalk.green(`\n✅ Cleanup complete. Latest LTS Node.js version ${latestLts} remains installed.`));
 }
 
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const execa = require('execa');
+const { table } = require('table');
+const { EXIT_CODES } = require('../utils');
+const { isWindows } = require('../backends/common');
+const {
+  CONFIG_SCHEMA,
+  CONFIG_KEYS,
+  PROJECT_CONFIG_FILE_NAME,
+  getUserConfigPath,
+  findProjectConfig,
+  getConfigEnvName,
+  loadConfig,
+  setConfigValue,
+} = require('../config');
+
+const CONFIG_ACTIONS = ['get', 'set', 'unset', 'list', 'edit'];
+
+/**
+ * Config file a `set`, `unset` or `edit` writes to: the user file, or with --project
+ * the nearest .nvm-managerrc (created in the current directory if there is none)
+ * @param {{project?: boolean}} options
+ * @returns {string}
+ */
+function getTargetConfigPath(options) {
+  if (!options.project) return getUserConfigPath();
+  return findProjectConfig() || path.join(process.cwd(), PROJECT_CONFIG_FILE_NAME);
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function formatConfigValue(value) {
+  if (value === null || value === undefined) return '(not set)';
+  if (Array.isArray(value)) return value.length ? value.join(',') : '(none)';
+  if (typeof value === 'object') return Object.keys(value).length ? JSON.stringify(value) : '(none)';
+  return String(value);
+}
+
+/**
+ * Open a config file in $VISUAL / $EDITOR and check it afterwards
+ * @param {string} filePath
+ */
+async function editConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{}\n');
+  }
+  const editor = process.env.VISUAL || process.env.EDITOR || (isWindows() ? 'notepad' : 'vi');
+  const [command, ...args] = editor.split(/\s+/);
+  await execa(command, [...args, filePath], { stdio: 'inherit' });
+
+  const { errors } = loadConfig();
+  if (errors.length > 0) {
+    errors.forEach((error) => console.error(chalk.red(error)));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  console.log(chalk.green(`✔ Saved ${filePath}`));
+}
+
+/**
+ * Read and change nvm-manager settings
+ * @param {string} action get, set, unset, list or edit
+ * @param {string} [key]
+ * @param {string} [value] for set
+ * @param {{project?: boolean, json?: boolean}} [options] project: write to .nvm-managerrc instead of the user file
+ */
+async function configCommand(action, key, value, options = {}) {
+  if (!CONFIG_ACTIONS.includes(action)) {
+    console.error(chalk.red(`Unknown config action '${action}'. Use one of: ${CONFIG_ACTIONS.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  if (['get', 'set', 'unset'].includes(action) && !CONFIG_SCHEMA[key]) {
+    console.error(
+      chalk.red(key ? `Unknown config key '${key}'.` : `config ${action} needs a key.`) +
+        chalk.yellow(` Known keys: ${CONFIG_KEYS.join(', ')}`)
+    );
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  try {
+    if (action === 'set' || action === 'unset') {
+      if (action === 'set' && value === undefined) {
+        throw new Error(`config set needs a value for ${key}`);
+      }
+      if (options.project && CONFIG_SCHEMA[key].userOnly) {
+        throw new Error(`${key} can only be set in the user config, not in ${PROJECT_CONFIG_FILE_NAME}`);
+      }
+      const filePath = getTargetConfigPath(options);
+      const parsed = setConfigValue(key, action === 'set' ? value : null, filePath);
+      console.log(
+        action === 'set'
+          ? chalk.green(`✔ Set ${key} = ${formatConfigValue(parsed)} in ${filePath}`)
+          : chalk.green(`✔ Removed ${key} from ${filePath}`)
+      );
+      const envName = getConfigEnvName(key);
+      if (process.env[envName]) {
+        console.log(chalk.yellow(`Note: ${envName} is set and takes precedence over config files.`));
+      }
+      return;
+    }
+    if (action === 'edit') {
+      await editConfigFile(getTargetConfigPath(options));
+      return;
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const config = loadConfig();
+  config.errors.forEach((error) => console.error(chalk.yellow(`Ignoring invalid config: ${error}`)));
+
+  if (action === 'get') {
+    const current = config.values[key];
+    console.log(options.json ? JSON.stringify(current) : formatConfigValue(current));
+    return;
+  }
+
+  // list
+  if (options.json) {
+    console.log(
+      JSON.stringify(
+        CONFIG_KEYS.map((name) => ({ key: name, value: config.values[name], source: config.sources[name] })),
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  console.log(chalk.cyan('=== nvm-manager config ==='));
+  console.log(chalk.gray(`User config:    ${config.files.user}${fs.existsSync(config.files.user) ? '' : ' (not created)'}`));
+  console.log(chalk.gray(`Project config: ${config.files.project || '(none)'}`));
+  const tableData = [['Key', 'Value', 'Source', 'Description']];
+  CONFIG_KEYS.forEach((name) => {
+    const source = config.sources[name];
+    tableData.push([
+      name,
+      formatConfigValue(config.values[name]),
+      source === 'default' ? chalk.gray(source) : source === 'env' ? getConfigEnvName(name) : source,
+      CONFIG_SCHEMA[name].description,
+    ]);
+  });
+  console.log(
+    table(tableData, {
+      columns: {
+        1: { width: 30, wrapWord: true },
+        3: { width: 45, wrapWord: true },
+      },
+    })
+  );
+}
+
+module.exports = configCommand;
@@ -0,0 +1,113 @@
+const chalk = require('chalk');
+const { getInstalledNodeVersions, EXIT_CODES } = require('../utils');
+const { loadPackageSet } = require('../manifest');
+
+/**
+ * Compare two package lists by name
+ * @param {{name: string, version: string|null}[]} a
+ * @param {{name: string, version: string|null}[]} b
+ * @returns {{onlyA: object[], onlyB: object[], changed: {name: string, a: string|null, b: string|null}[], same: string[]}}
+ *   packages whose version is unknown on either side (legacy manifests) count as the same
+ */
+function comparePackages(a, b) {
+  const mapA = new Map(a.map((pkg) => [pkg.name, pkg]));
+  const mapB = new Map(b.map((pkg) => [pkg.name, pkg]));
+  const result = { onlyA: [], onlyB: [], changed: [], same: [] };
+
+  mapA.forEach((pkg, name) => {
+    const other = mapB.get(name);
+    if (!other) {
+      result.onlyA.push(pkg);
+    } else if (pkg.version && other.version && pkg.version !== other.version) {
+      result.changed.push({ name, a: pkg.version, b: other.version });
+    } else {
+      result.same.push(name);
+    }
+  });
+  mapB.forEach((pkg, name) => {
+    if (!mapA.has(name)) result.onlyB.push(pkg);
+  });
+
+  const byName = (x, y) => x.name.localeCompare(y.name);
+  result.onlyA.sort(byName);
+  result.onlyB.sort(byName);
+  result.changed.sort(byName);
+  result.same.sort();
+  return result;
+}
+
+/**
+ * @param {{name: string, version: string|null, source?: string}} pkg
+ * @returns {string} e.g. 'typescript@5.4.5' or 'mycli@1.0.0 (link)'
+ */
+function formatPackage(pkg) {
+  const label = pkg.version ? `${pkg.name}@${pkg.version}` : pkg.name;
+  return pkg.source && pkg.source !== 'registry' ? `${label} (${pkg.source})` : label;
+}
+
+/**
+ * Diff command handler: compare the global packages of two Node.js versions or manifest files.
+ * Exits with ISSUES_FOUND when the two sides differ.
+ * @param {string} specA installed Node.js version or manifest file
+ * @param {string} specB installed Node.js version or manifest file
+ * @param {{json?: boolean}} [options]
+ */
+async function diffCommand(specA, specB, options = {}) {
+  let sideA;
+  let sideB;
+  try {
+    const installedVersions = await getInstalledNodeVersions();
+    sideA = await loadPackageSet(specA, installedVersions);
+    sideB = await loadPackageSet(specB, installedVersions);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const { onlyA, onlyB, changed, same } = comparePackages(sideA.packages, sideB.packages);
+  if (onlyA.length > 0 || onlyB.length > 0 || changed.length > 0) {
+    process.exitCode = EXIT_CODES.ISSUES_FOUND;
+  }
+
+  if (options.json) {
+    const toJson = (pkg) => ({ name: pkg.name, version: pkg.version || null, source: pkg.source || 'registry' });
+    console.log(
+      JSON.stringify(
+        {
+          a: { label: sideA.label, kind: sideA.kind },
+          b: { label: sideB.label, kind: sideB.kind },
+          onlyInA: onlyA.map(toJson),
+          onlyInB: onlyB.map(toJson),
+          different: changed,
+          same,
+        },
+        null,
+        2
+      )
+    );
+    return;
+  }
+
+  console.log(chalk.cyan(`=== Global packages: ${sideA.label} vs ${sideB.label} ===`));
+  if (onlyA.length === 0 && onlyB.length === 0 && changed.length === 0) {
+    console.log(chalk.green(`\n✅ Same ${same.length} global package(s) on both sides.`));
+    return;
+  }
+
+  if (onlyA.length > 0) {
+    console.log(chalk.red(`\nOnly in ${sideA.label} (${onlyA.length}):`));
+    onlyA.forEach((pkg) => console.log(chalk.red(`  - ${formatPackage(pkg)}`)));
+  }
+  if (onlyB.length > 0) {
+    console.log(chalk.green(`\nOnly in ${sideB.label} (${onlyB.length}):`));
+    onlyB.forEach((pkg) => console.log(chalk.green(`  + ${formatPackage(pkg)}`)));
+  }
+  if (changed.length > 0) {
+    console.log(chalk.yellow(`\nDifferent versions (${changed.length}):`));
+    changed.forEach(({ name, a, b }) => console.log(chalk.yellow(`  ~ ${name} ${a} → ${b}`)));
+  }
+  console.log(chalk.gray(`\n${same.length} package(s) the same on both sides.`));
+}
+
+module.exports = diffCommand;
@@ -0,0 +1,47 @@
+const chalk = require('chalk');
+const { EXIT_CODES } = require('../utils');
+const { runDoctorChecks } = require('../doctor');
+
+const STATUS_SYMBOLS = {
+  pass: chalk.green('✔'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✖'),
+};
+
+/**
+ * Diagnose the nvm environment
+ * @param {{json?: boolean}} [options]
+ */
+async function doctorCommand(options = {}) {
+  const checks = await runDoctorChecks();
+  const failed = checks.filter((check) => check.status === 'fail');
+  const warned = checks.filter((check) => check.status === 'warn');
+
+  if (failed.length > 0) {
+    process.exitCode = EXIT_CODES.ISSUES_FOUND;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(checks, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan('=== nvm-manager doctor ==='));
+  for (const check of checks) {
+    console.log(`${STATUS_SYMBOLS[check.status]} ${chalk.bold(check.name)}: ${check.message}`);
+    if (check.fix && check.status !== 'pass') {
+      console.log(chalk.gray(`    Fix: ${check.fix}`));
+    }
+  }
+
+  console.log('');
+  if (failed.length > 0) {
+    console.log(chalk.red(`${failed.length} check(s) failed, ${warned.length} warning(s).`));
+  } else if (warned.length > 0) {
+    console.log(chalk.yellow(`All checks passed with ${warned.length} warning(s).`));
+  } else {
+    console.log(chalk.green('✅ All checks passed.'));
+  }
+}
+
+module.exports = doctorCommand;
@@ -0,0 +1,51 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const { getInstalledNodeVersions, EXIT_CODES } = require('../utils');
+const { scanGlobalPackages } = require('../scan');
+const { getConfigValue } = require('../config');
+const { createManifest, writeManifest, getDefaultManifestPath } = require('../manifest');
+
+/**
+ * Export a JSON snapshot of the global packages of every installed Node.js version
+ * @param {string} [file] output path, defaults to the well-known manifest location
+ */
+async function exportCommand(file) {
+  console.log(chalk.cyan('=== Export global packages snapshot ==='));
+  const spinner = ora('Retrieving installed Node.js versions...').start();
+
+  const installedVersions = await getInstalledNodeVersions();
+  if (installedVersions.length === 0) {
+    spinner.fail('No Node.js versions found.');
+    return;
+  }
+  spinner.succeed(`Found ${installedVersions.length} Node.js version(s)`);
+
+  const scanSpinner = ora(`Scanning ${installedVersions.length} Node.js version(s)...`).start();
+  const scanned = await scanGlobalPackages(installedVersions, { concurrency: getConfigValue('concurrency') });
+  scanSpinner.stop();
+  // A version that couldn't be scanned is left out rather than recorded without packages
+  const results = scanned.filter((result) => !result.error);
+  const failedScans = scanned.filter((result) => result.error);
+  failedScans.forEach(({ version, error }) => console.log(chalk.yellow(`Skipping Node.js ${version}: ${error}`)));
+  if (failedScans.length > 0) {
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  }
+
+  const outputPath = file || getDefaultManifestPath();
+  try {
+    writeManifest(createManifest(results), outputPath);
+  } catch (error) {
+    console.error(chalk.red(`Failed to write snapshot to ${outputPath}:`), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const packageCount = results.reduce((sum, { packages }) => sum + packages.length, 0);
+  console.log(
+    chalk.green(
+      `\n✅ Exported ${packageCount} package(s) across ${results.length} Node.js version(s) to ${outputPath}`
+    )
+  );
+}
+
+module.exports = exportCommand;
@@ -2,40 +2,67 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
+const { getBackend } = require('../backends');
 const {
   getInstalledNodeVersions,
   getLatestLtsVersion,
-  getNvmDir,
+  getNodeVersionDir,
   uninstallNodeVersion,
-  isVersionStillListed
+  isVersionStillListed,
+  isInteractive,
+  EXIT_CODES,
+  parseListOption
 } = require('../utils');
+const { scanProjects, getProtectedVersions } = require('../projects');
+const { getConfigValue, resolveOption, shouldSkipPrompts } = require('../config');
+
+/**
+ * Fix-failed command handler. Options not given fall back to the config (see config.js).
+ * @param {{yes?: boolean, keep?: string, only?: string, projects?: string}} [options]
+ *   yes: delete leftover folders without prompting, keep: extra versions to preserve,
+ *   only: restrict fixing to these versions, projects: workspace directories whose versions are preserved
+ */
+async function fixFailedCommand(options = {}) {
+  const keepVersions = resolveOption(parseListOption(options.keep, { versions: true }), 'keep').map(ver =>
+    ver.replace(/^v/, '')
+  );
+  const yes = shouldSkipPrompts(options);
+  const onlyVersions = parseListOption(options.only, { versions: true });
+  let failures = 0;
 
-async function fixFailedCommand() {
   console.log(chalk.cyan('=== Fix phantom Node.js versions showing in nvm list ==='));
 
   const latestLts = await getLatestLtsVersion();
   if (!latestLts) {
     console.error(chalk.red('Could not detect latest stable LTS version.'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
   console.log(chalk.green(`Latest stable LTS version (will be preserved): ${latestLts}`));
 
-  const nvmDir = getNvmDir();
-  if (!fs.existsSync(nvmDir)) {
-    console.error(chalk.red(`NVM directory not found: ${nvmDir}`));
+  const backend = getBackend();
+  const rootDir = backend.getRootDir();
+  if (!fs.existsSync(rootDir)) {
+    console.error(chalk.red(`${backend.label} directory not found: ${rootDir}`));
     console.log(chalk.yellow('Please set NVM_HOME environment variable or update the script.'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
-  console.log(chalk.blue(`Detected NVM directory: ${nvmDir}`));
+  console.log(chalk.blue(`Detected ${backend.label} directory: ${rootDir}`));
 
   const installedVersions = await getInstalledNodeVersions();
   if (installedVersions.length === 0) {
-    console.log(chalk.yellow('No Node.js versions found installed with nvm.'));
+    console.log(chalk.yellow(`No Node.js versions found installed with ${getBackend().label}.`));
     return;
   }
 
+  const projectDirs = resolveOption(parseListOption(options.projects), 'projects');
+  const protectedVersions = projectDirs.length > 0
+    ? getProtectedVersions(scanProjects(projectDirs, installedVersions, { maxDepth: getConfigValue('scanDepth') }))
+    : new Map();
+
   console.log(chalk.yellow('\nAttempting to fix phantom Node.js versions...'));
 
   for (const version of installedVersions) {
@@ -44,6 +71,22 @@ async function fixFailedCommand() {
       continue;
     }
 
+    if (keepVersions.includes(version)) {
+      console.log(chalk.green(`Skipping preserved version: ${version}`));
+      continue;
+    }
+
+    if (onlyVersions && !onlyVersions.includes(version)) {
+      continue;
+    }
+
+    if (protectedVersions.has(version)) {
+      console.log(
+        chalk.green(`Skipping version ${version}, needed by ${protectedVersions.get(version).length} project(s).`)
+      );
+      continue;
+    }
+
     console.log(chalk.blue(`\nAttempting to uninstall Node.js version ${version}...`));
     const uninstallSuccess = await uninstallNodeVersion(version);
 
@@ -58,28 +101,26 @@ async function fixFailedCommand() {
     console.log(chalk.yellow(`⚠️  Uninstall failed or version ${version} still appears in 'nvm list'.`));
     console.log(chalk.gray('   Will attempt manual folder deletion.'));
 
-    // Prompt for manual deletion
-    const shouldDelete = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'delete',
-        message: `Do you want to manually delete the folder for Node.js version ${version}?`,
-        default: true
+    // Prompt for manual deletion unless answered up front
+    let shouldDelete = { delete: true };
+    if (!yes) {
+      if (!isInteractive()) {
+        console.log(chalk.yellow('   Cannot prompt: stdin is not a terminal. Re-run with --yes to delete leftover folders.'));
+        failures++;
+        continue;
       }
-    ]);
+      shouldDelete = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'delete',
+          message: `Do you want to manually delete the folder for Node.js version ${version}?`,
+          default: true
+        }
+      ]);
+    }
 
     if (shouldDelete.delete) {
-      // Try with 'v' prefix first (standard nvm-windows naming)
-      const versionPath = path.join(nvmDir, `v${version}`);
-      const altVersionPath = path.join(nvmDir, version);
-
-      let pathToDelete = null;
-
-      if (fs.existsSync(versionPath)) {
-        pathToDelete = versionPath;
-      } else if (fs.existsSync(altVersionPath)) {
-        pathToDelete = altVersionPath;
-      }
+      const pathToDelete = getNodeVersionDir(version);
 
       if (pathToDelete) {
         try {
@@ -92,12 +133,14 @@ async function fixFailedCommand() {
           if (stillListedAfterDelete) {
             console.log(chalk.yellow(`⚠️  Warning: Version ${version} still appears in 'nvm list'.`));
             console.log(chalk.gray('   You may need to check settings.txt or restart your shell.'));
+            failures++;
           } else {
             console.log(chalk.green(`✅ Version ${version} no longer appears in 'nvm list'.`));
           }
         } catch (error) {
           console.error(chalk.red(`❌ Failed to delete folder ${pathToDelete}:`), error.message);
           console.log(chalk.yellow('   Please check permissions or delete manually.'));
+          failures++;
         }
       } else {
         console.log(chalk.gray(`   Folder for version ${version} does not exist. Skipping manual deletion.`));
@@ -108,9 +151,10 @@ async function fixFailedCommand() {
           console.log(chalk.yellow(`\n⚠️  Version ${version} still appears in 'nvm list' but no folder exists.`));
           console.log(chalk.gray('   This suggests a phantom entry in nvm configuration.'));
           console.log(chalk.blue('   Manual steps to fix:'));
-          console.log(chalk.gray(`   1. Open ${path.join(nvmDir, 'settings.txt')}`));
+          console.log(chalk.gray(`   1. Open ${path.join(rootDir, 'settings.txt')}`));
           console.log(chalk.gray(`   2. Remove any reference to version ${version}`));
           console.log(chalk.gray('   3. Save the file and restart your shell'));
+          failures++;
         }
       }
     } else {
@@ -118,7 +162,12 @@ async function fixFailedCommand() {
     }
   }
 
-  console.log(chalk.green(`\n✅ Cleanup of phantom Node.js versions complete.`));
+  if (failures > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${failures} Node.js version(s) could not be fully removed.`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  } else {
+    console.log(chalk.green(`\n✅ Cleanup of phantom Node.js versions complete.`));
+  }
   console.log(chalk.cyan(`Latest LTS version ${latestLts} remains installed.`));
 }
 
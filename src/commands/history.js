@@ -0,0 +1,58 @@
+const chalk = require('chalk');
+const { table } = require('table');
+const { EXIT_CODES } = require('../utils');
+const { getHistoryPath, parseSince, readHistory } = require('../history');
+
+/**
+ * Show recorded Node.js and global package operations, oldest first
+ * @param {{since?: string, version?: string, node?: string, failed?: boolean, json?: boolean}} [options]
+ *   version: only operations on this Node.js version or major (node is an alias)
+ */
+async function historyCommand(options = {}) {
+  let since;
+  if (options.since) {
+    since = parseSince(options.since);
+    if (!since) {
+      console.error(chalk.red(`Invalid --since value '${options.since}'. Use a date (2024-05-01) or a duration (12h, 7d, 2w).`));
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      return;
+    }
+  }
+
+  const entries = readHistory({ since, node: options.version || options.node, failed: options.failed });
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`No matching operations recorded in ${getHistoryPath()}.`));
+    return;
+  }
+
+  console.log(chalk.cyan('=== Operation history ==='));
+  const tableData = [['Time', 'Command', 'Action', 'Node Version', 'Package', 'Outcome']];
+  entries.forEach((entry) => {
+    tableData.push([
+      new Date(entry.timestamp).toLocaleString(),
+      entry.command || '-',
+      entry.action,
+      entry.node || '-',
+      entry.package || '-',
+      entry.outcome === 'success'
+        ? chalk.green('success')
+        : chalk.red(entry.error ? `failure: ${entry.error.split('\n')[0]}` : 'failure'),
+    ]);
+  });
+  console.log(
+    table(tableData, {
+      columns: {
+        4: { width: 30, wrapWord: true },
+        5: { width: 40, wrapWord: true },
+      },
+    })
+  );
+}
+
+module.exports = historyCommand;
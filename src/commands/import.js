@@ -0,0 +1,123 @@
+const chalk = require('chalk');
+const {
+  getInstalledNodeVersions,
+  getCurrentNodeVersion,
+  getGlobalPackageDetailsForVersion,
+  installNodeVersion,
+  restoreGlobalPackages,
+  getPackageRestoreLabel,
+  confirmAction,
+  EXIT_CODES,
+  abortIfNonInteractive,
+} = require('../utils');
+const { readManifest } = require('../manifest');
+const { shouldSkipPrompts, getPackageRules } = require('../config');
+const { applyPackageRules, formatAppliedRule } = require('../package-rules');
+
+/**
+ * Rebuild Node.js versions and their global packages from a snapshot manifest
+ * @param {string} file manifest path (JSON snapshot or legacy nvm-global-packages.txt)
+ * @param {{yes?: boolean}} options
+ */
+async function importCommand(file, options = {}) {
+  console.log(chalk.cyan('=== Import global packages snapshot ==='));
+
+  let manifest;
+  try {
+    manifest = readManifest(file);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const entries = manifest.versions.filter((entry) => entry.packages.length > 0 || entry.node);
+  if (entries.length === 0) {
+    console.log(chalk.yellow('Snapshot does not contain any Node.js versions. Exiting.'));
+    return;
+  }
+
+  // Legacy lists may contain packages without a version header; restore those into the active version
+  const currentVersion = await getCurrentNodeVersion();
+  // Exclude, pin and replace packages as the package rules say for each version
+  const rules = getPackageRules();
+  for (const entry of entries) {
+    if (!entry.node) entry.node = currentVersion;
+    const { packages, applied } = applyPackageRules(entry.packages, rules, entry.node);
+    entry.packages = packages;
+    entry.appliedRules = applied;
+  }
+
+  const installedVersions = await getInstalledNodeVersions();
+
+  console.log(chalk.blue(`Snapshot: ${file}`));
+  if (manifest.createdAt) {
+    console.log(chalk.gray(`Created ${manifest.createdAt} on ${manifest.platform}`));
+  }
+  for (const entry of entries) {
+    const status = installedVersions.includes(entry.node) ? '' : chalk.yellow(' (will be installed)');
+    console.log(chalk.yellow(`\nNode.js ${entry.node}${status}`));
+    entry.packages.forEach((pkg) =>
+      console.log(
+        chalk.gray(`  ${pkg.name}${pkg.version ? `@${pkg.version}` : ''}${pkg.resolved ? ` (${pkg.source}: ${pkg.resolved})` : ''}`)
+      )
+    );
+    entry.appliedRules.forEach((applied) => console.log(chalk.blue(`  Rule: ${formatAppliedRule(applied)}`)));
+  }
+  console.log('');
+
+  if (!shouldSkipPrompts(options)) {
+    if (abortIfNonInteractive('Re-run with --yes to restore without prompting.')) {
+      return;
+    }
+    const shouldProceed = await confirmAction('Proceed with restoring this snapshot?');
+    if (!shouldProceed) {
+      console.log(chalk.yellow('Aborted by user.'));
+      process.exitCode = EXIT_CODES.ABORTED;
+      return;
+    }
+  }
+
+  let failures = 0;
+
+  for (const entry of entries) {
+    if (!installedVersions.includes(entry.node)) {
+      const installed = await installNodeVersion(entry.node);
+      if (!installed) {
+        console.error(chalk.red(`Skipping packages for Node.js ${entry.node}.`));
+        failures += entry.packages.length;
+        continue;
+      }
+    }
+
+    const existing = await getGlobalPackageDetailsForVersion(entry.node);
+    const toRestore = [];
+
+    for (const pkg of entry.packages) {
+      const spec = getPackageRestoreLabel(pkg, 'exact');
+      const current = existing.find((item) => item.name === pkg.name);
+      if (current && (!pkg.version || current.version === pkg.version)) {
+        console.log(chalk.gray(`${spec} already installed for Node.js ${entry.node}. Skipping.`));
+        continue;
+      }
+      toRestore.push(pkg);
+    }
+
+    if (toRestore.length === 0) continue;
+
+    console.log(chalk.blue(`Installing ${toRestore.length} package(s) to Node.js ${entry.node}...`));
+    const { installed, failed } = await restoreGlobalPackages(toRestore, entry.node, 'exact');
+    installed.forEach((spec) => console.log(chalk.green(`✔ Installed ${spec} to Node.js ${entry.node}`)));
+    failed.forEach((spec) => console.log(chalk.red(`✖ Failed to install ${spec} to Node.js ${entry.node}`)));
+    failures += failed.length;
+  }
+
+  if (failures > 0) {
+    console.log(chalk.yellow(`\n⚠️  Snapshot restored with ${failures} failure(s).`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  } else {
+    console.log(chalk.green('\n✅ Snapshot restored.'));
+  }
+}
+
+module.exports = importCommand;
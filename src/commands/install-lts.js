@@ -1,62 +1,76 @@
-const fs = require('fs');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const ora = require('ora');
+const semver = require('semver');
 const {
   getInstalledNodeVersions,
   getLatestLtsVersion,
   switchNodeVersion,
   installNodeVersion,
-  getInstalledPackageVersion,
-  getLatestPackageVersion,
-  getPackageDescription,
-  installGlobalPackage,
-  confirmAction
+  getInstalledPackageVersions,
+  restoreGlobalPackages,
+  getPackageRestoreLabel,
+  confirmAction,
+  EXIT_CODES,
+  parseListOption,
+  abortIfNonInteractive
 } = require('../utils');
-
-const PACKAGE_LIST_FILE = 'nvm-global-packages.txt';
+const { findManifest, readManifest, getManifestPackages } = require('../manifest');
+const { loadReleaseIndex, findRelease } = require('../release-index');
+const { shouldSkipPrompts, getPackageRules } = require('../config');
+const { applyPackageRules, formatAppliedRule } = require('../package-rules');
+const { checkPackagesEngines, formatEnginesResult } = require('../engines');
+const { fetchPackuments, getPackageInfo } = require('../registry');
+
+/**
+ * Registry summary of a package, or null when it can't be looked up
+ * @param {string} packageName
+ * @returns {Promise<object|null>} see getPackageInfo
+ */
+async function findPackageInfo(packageName) {
+  try {
+    return await getPackageInfo(packageName);
+  } catch {
+    return null;
+  }
+}
 
 function parsePackageList() {
-  if (!fs.existsSync(PACKAGE_LIST_FILE)) {
-    console.error(chalk.red(`Error: Package list file '${PACKAGE_LIST_FILE}' not found.`));
+  const manifestPath = findManifest();
+  if (!manifestPath) {
+    console.error(chalk.red('Error: No global packages snapshot found.'));
     console.log(
       chalk.yellow(
-        'Please run "nvm-manager list-all" first to create the package list.'
+        'Please run "nvm-manager list-all" or "nvm-manager export" first to create the package list.'
       )
     );
     return [];
   }
 
-  const contents = fs.readFileSync(PACKAGE_LIST_FILE, 'utf-8');
-  const lines = contents.split('\n');
-
-  const packages = new Set();
-
-  for (const line of lines) {
-    // Skip empty lines, headers, and "no packages" messages
-    if (!line.trim() || 
-        line.startsWith('Node Version:') || 
-        line.includes('No global packages installed')) {
-      continue;
-    }
-
-    // Parse packages from comma-separated line
-    const linePackages = line.split(',')
-      .map(pkg => pkg.trim())
-      .filter(pkg => pkg && pkg !== 'npm');
-
-    linePackages.forEach(pkg => packages.add(pkg));
+  try {
+    const manifest = readManifest(manifestPath);
+    return getManifestPackages(manifest).filter((pkg) => pkg.name !== 'npm');
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    return [];
   }
-
-  return Array.from(packages).sort();
 }
 
-async function installCommand() {
+/**
+ * Install-lts command handler
+ * @param {{yes?: boolean, packages?: string}} [options]
+ *   yes: proceed and install every package without prompting,
+ *   packages: install exactly these packages instead of the snapshot list
+ */
+async function installCommand(options = {}) {
   console.log(chalk.cyan('=== Install latest Node.js LTS and global packages ==='));
 
-  // Parse package list
-  const allPackages = parsePackageList();
-  if (allPackages.length === 0) {
+  // Parse package list; --packages entries are registry specs, snapshot entries keep their origin
+  const packageList = options.packages
+    ? parseListOption(options.packages).map((name) => ({ name, version: null, source: 'registry' }))
+    : parsePackageList();
+  const yes = shouldSkipPrompts(options);
+  if (packageList.length === 0) {
     console.log(chalk.yellow('No global packages found in package list. Exiting.'));
     return;
   }
@@ -65,6 +79,7 @@ async function installCommand() {
   const latestLts = await getLatestLtsVersion();
   if (!latestLts) {
     console.error(chalk.red('Error: Could not detect latest stable Node.js version.'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
@@ -72,18 +87,62 @@ async function installCommand() {
   const alreadyHasLatest = installedVersions.includes(latestLts);
 
   console.log(chalk.green(`Latest stable Node.js LTS: ${latestLts}`));
+  try {
+    const release = findRelease(await loadReleaseIndex(), latestLts);
+    if (release) {
+      console.log(chalk.gray(`  ${release.lts}, released ${release.date}, npm ${release.npm}, V8 ${release.v8}`));
+    }
+  } catch {
+    // Details are informational only
+  }
   console.log(chalk.blue('Currently installed Node versions:'));
   installedVersions.forEach(ver => console.log(chalk.gray(`  ${ver}`)));
 
-  // Check which packages need updating
+  // Exclude, pin and replace packages as the package rules say for the new LTS
+  const { packages: ruledPackages, applied } = applyPackageRules(packageList, getPackageRules(), latestLts);
+  if (applied.length > 0) {
+    console.log(chalk.blue('Package rules:'));
+    applied.forEach((entry) => console.log(chalk.gray(`  ${formatAppliedRule(entry)}`)));
+  }
+  const allPackages = ruledPackages.map((pkg) => pkg.name);
+  const packageDetails = new Map(ruledPackages.map((pkg) => [pkg.name, pkg]));
+  const packageOrigins = new Map(
+    ruledPackages
+      .filter((pkg) => pkg.resolved && pkg.source !== 'registry')
+      .map((pkg) => [pkg.name, pkg])
+  );
+  if (allPackages.length === 0) {
+    console.log(chalk.yellow('Every package in the package list is excluded by package rules. Exiting.'));
+    return;
+  }
+
+  // Check which packages need updating: one npm ls, and one concurrent registry lookup per package.
+  // The registry knows nothing about git, tarball, local and linked packages.
   const spinner = ora('Checking package versions...').start();
   const missingPackages = [];
+  const installedBefore = await getInstalledPackageVersions();
+  await fetchPackuments(allPackages.filter((pkg) => !packageOrigins.has(pkg)));
 
   for (const pkg of allPackages) {
-    const latestVer = await getLatestPackageVersion(pkg);
-    const installedVer = await getInstalledPackageVersion(pkg);
+    const installedVer = installedBefore[pkg] || null;
+    if (packageOrigins.has(pkg)) {
+      if (!installedVer) {
+        missingPackages.push(pkg);
+      }
+      continue;
+    }
 
-    if (installedVer !== latestVer) {
+    // Pinned packages are up to date anywhere in their range
+    const { range } = packageDetails.get(pkg);
+    if (range) {
+      if (!installedVer || !semver.satisfies(installedVer, range)) {
+        missingPackages.push(pkg);
+      }
+      continue;
+    }
+
+    const info = await findPackageInfo(pkg);
+    if (installedVer !== (info && info.latest)) {
       missingPackages.push(pkg);
     }
   }
@@ -97,13 +156,19 @@ async function installCommand() {
   }
 
   // Confirm proceeding
-  const shouldProceed = await confirmAction(
-    `Proceed with installing Node.js ${latestLts} and ${missingPackages.length} missing/outdated packages?`
-  );
+  if (!yes) {
+    if (abortIfNonInteractive('Re-run with --yes to install without prompting.')) {
+      return;
+    }
+    const shouldProceed = await confirmAction(
+      `Proceed with installing Node.js ${latestLts} and ${missingPackages.length} missing/outdated packages?`
+    );
 
-  if (!shouldProceed) {
-    console.log(chalk.yellow('Aborted by user.'));
-    return;
+    if (!shouldProceed) {
+      console.log(chalk.yellow('Aborted by user.'));
+      process.exitCode = EXIT_CODES.ABORTED;
+      return;
+    }
   }
 
   // Install Node.js if needed
@@ -111,6 +176,7 @@ async function installCommand() {
     const installed = await installNodeVersion(latestLts);
     if (!installed) {
       console.error(chalk.red(`Error installing Node.js ${latestLts}.`));
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
       return;
     }
   }
@@ -119,6 +185,7 @@ async function installCommand() {
   const switched = await switchNodeVersion(latestLts);
   if (!switched) {
     console.error(chalk.red(`Error switching to Node.js ${latestLts}.`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
@@ -133,8 +200,13 @@ async function installCommand() {
   console.log(chalk.yellow(`\nPackages to install/update (${packagesToInstall.length}):`));
   packagesToInstall.forEach(pkg => console.log(chalk.gray(`  ${pkg}`)));
 
+  // Versions installed for the new LTS, read once for the prompts below
+  const installedAfter = await getInstalledPackageVersions();
+
+  // --yes and --packages answer the per-package prompts up front
   let skipAll = false;
-  let installAll = false;
+  let installAll = Boolean(yes || options.packages);
+  const selectedPackages = [];
 
   for (const pkg of packagesToInstall) {
     if (skipAll) {
@@ -143,34 +215,42 @@ async function installCommand() {
     }
 
     if (installAll) {
-      console.log(chalk.blue(`Installing package ${pkg} (install all enabled).`));
-      const success = await installGlobalPackage(pkg);
-      if (success) {
-        console.log(chalk.green(`✅ Installed ${pkg} successfully.`));
-      } else {
-        console.log(chalk.red(`❌ Error installing ${pkg}.`));
-      }
+      console.log(chalk.blue(`Queued package ${pkg} (install all enabled).`));
+      selectedPackages.push(pkg);
       continue;
     }
 
-    // Get package info
-    const desc = await getPackageDescription(pkg);
-    const latestVer = await getLatestPackageVersion(pkg) || 'unknown';
-    const installedVer = await getInstalledPackageVersion(pkg);
+    if (packageOrigins.has(pkg)) {
+      console.log(chalk.yellow(`\n📦 Package: ${pkg}`));
+      console.log(chalk.gray(`   Source: ${getPackageRestoreLabel(packageOrigins.get(pkg))}`));
+      console.log(chalk.gray(`   Installed Version: ${installedAfter[pkg] || 'Not installed'}`));
+    } else {
+      // Get package info, fetched from the registry in the first pass
+      const info = await findPackageInfo(pkg);
+      const desc = (info && info.description) || 'No description available.';
+      const latestVer = (info && info.latest) || 'unknown';
+      const installedVer = installedAfter[pkg] || null;
+
+      // Check if already at latest
+      if (installedVer === latestVer) {
+        console.log(chalk.green(`\n📦 Package: ${pkg} (version ${latestVer})`));
+        console.log(chalk.gray(`   Description: ${desc}`));
+        console.log(chalk.green(`   Already at latest version. Skipping.`));
+        continue;
+      }
 
-    // Check if already at latest
-    if (installedVer === latestVer) {
-      console.log(chalk.green(`\n📦 Package: ${pkg} (version ${latestVer})`));
+      // Show package details
+      console.log(chalk.yellow(`\n📦 Package: ${pkg}`));
       console.log(chalk.gray(`   Description: ${desc}`));
-      console.log(chalk.green(`   Already at latest version. Skipping.`));
-      continue;
+      console.log(chalk.blue(`   Latest Version Available: ${latestVer}`));
+      console.log(chalk.gray(`   Installed Version: ${installedVer || 'Not installed'}`));
+      if (info && info.deprecated) {
+        console.log(chalk.red(`   Deprecated: ${info.deprecated}`));
+      }
+    }
+    if (packageDetails.get(pkg).ruleNotes) {
+      console.log(chalk.blue(`   Rule: ${packageDetails.get(pkg).ruleNotes.join(', ')}`));
     }
-
-    // Show package details
-    console.log(chalk.yellow(`\n📦 Package: ${pkg}`));
-    console.log(chalk.gray(`   Description: ${desc}`));
-    console.log(chalk.blue(`   Latest Version Available: ${latestVer}`));
-    console.log(chalk.gray(`   Installed Version: ${installedVer || 'Not installed'}`));
 
     // Interactive prompt
     const answer = await inquirer.prompt([
@@ -190,13 +270,7 @@ async function installCommand() {
 
     switch (answer.action) {
       case 'y':
-        console.log(chalk.blue(`Installing ${pkg}...`));
-        const success = await installGlobalPackage(pkg);
-        if (success) {
-          console.log(chalk.green(`✅ Installed ${pkg} successfully.`));
-        } else {
-          console.log(chalk.red(`❌ Error installing ${pkg}.`));
-        }
+        selectedPackages.push(pkg);
         break;
 
       case 'n':
@@ -204,13 +278,8 @@ async function installCommand() {
         break;
 
       case 'y-all':
-        console.log(chalk.blue(`Installing ${pkg} and all remaining packages...`));
-        const successAll = await installGlobalPackage(pkg);
-        if (successAll) {
-          console.log(chalk.green(`✅ Installed ${pkg} successfully.`));
-        } else {
-          console.log(chalk.red(`❌ Error installing ${pkg}.`));
-        }
+        console.log(chalk.blue(`Queued ${pkg} and all remaining packages.`));
+        selectedPackages.push(pkg);
         installAll = true;
         break;
 
@@ -221,6 +290,36 @@ async function installCommand() {
     }
   }
 
+  if (selectedPackages.length === 0) {
+    console.log(chalk.yellow('\nNo packages selected for installation.'));
+    return;
+  }
+
+  // Leave out packages whose engines.node rules out the new LTS, or fall back to an older release
+  const { packages: compatiblePackages, results: enginesResults } = await checkPackagesEngines(
+    selectedPackages.map((name) => packageDetails.get(name)),
+    latestLts
+  );
+  enginesResults.forEach((result) => {
+    const message = formatEnginesResult(result, latestLts);
+    if (message) console.log(chalk.yellow(`⚠ ${message}`));
+  });
+  if (compatiblePackages.length === 0) {
+    console.log(chalk.yellow(`\nNo selected package supports Node.js ${latestLts}.`));
+    return;
+  }
+
+  // Install everything selected with a single npm run, re-linking linked packages
+  console.log(chalk.blue(`\nInstalling ${compatiblePackages.length} package(s) to Node.js ${latestLts}...`));
+  const { installed, failed } = await restoreGlobalPackages(compatiblePackages, latestLts);
+  installed.forEach((pkg) => console.log(chalk.green(`✅ Installed ${pkg} successfully.`)));
+  failed.forEach((pkg) => console.log(chalk.red(`❌ Error installing ${pkg}.`)));
+
+  if (failed.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  Installation finished with ${failed.length} failure(s).`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
   console.log(chalk.green('\n✅ Installation complete.'));
 }
 
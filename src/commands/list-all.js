@@ -1,18 +1,29 @@
-const fs = require('fs');
 const chalk = require('chalk');
 const ora = require('ora');
 const { table } = require('table');
 const inquirer = require('inquirer');
-const {
-  getInstalledNodeVersions,
-  getGlobalPackagesForVersion,
-} = require("../utils");
-
-const OUTPUT_FILE = 'nvm-global-packages.txt';
+const { getInstalledNodeVersions, selectInstalledVersions, EXIT_CODES } = require("../utils");
+const { scanGlobalPackages } = require('../scan');
+const { createManifest, writeManifest } = require('../manifest');
+const { getConfigValue, getPackageRules } = require('../config');
+const { applyPackageRules } = require('../package-rules');
+
+/**
+ * Table label for a package, naming where non-registry packages come from
+ * @param {{name: string, source?: string, resolved?: string}} pkg
+ * @returns {string} e.g. 'typescript', 'my-cli (git)' or 'tool (link → /home/me/tool)'
+ */
+function formatPackageOrigin(pkg) {
+  if (!pkg.source || pkg.source === 'registry') return pkg.name;
+  if (pkg.source === 'link' && pkg.resolved) return `${pkg.name} (link → ${pkg.resolved})`;
+  return `${pkg.name} (${pkg.source})`;
+}
 
 async function listAllCommand(program) {
   const jsonOutput = program.opts().json || false;
   const versionsFlag = program.opts().versions || null;
+  const refresh = program.opts().refresh || false;
+  const concurrency = parseInt(program.opts().concurrency, 10) || getConfigValue('concurrency');
 
   console.log(chalk.cyan('=== Listing global npm packages for Node.js versions ==='));
   const spinner = ora('Retrieving installed Node.js versions...').start();
@@ -25,66 +36,91 @@ async function listAllCommand(program) {
   }
   spinner.succeed(`Found ${allInstalledVersions.length} Node.js version(s)`);
 
-  // Decide which versions to process
-  let versionsToUse;
-
-  if (versionsFlag) {
-    if (versionsFlag.toLowerCase() === 'all') {
-      versionsToUse = allInstalledVersions;
-    } else {
-      // Parse CSV input
-      const requestedVersions = versionsFlag.split(',').map(v => v.trim());
-      // Validate each requested version exists
-      const invalidVersions = requestedVersions.filter(
-        v => !allInstalledVersions.includes(v)
-      );
-      if (invalidVersions.length > 0) {
-        console.error(
-          chalk.red(
-            `Error: Invalid Node.js version(s) specified: ${invalidVersions.join(', ')}`
-          )
-        );
-        console.error(chalk.yellow(`Installed versions: ${allInstalledVersions.join(', ')}`));
-        process.exit(1);
-      }
-      versionsToUse = requestedVersions;
-    }
-  } else {
-    // Default: all versions
-    versionsToUse = allInstalledVersions;
+  // Decide which versions to process: "18", "lts/iron" or ranges select installed versions
+  const { versions: versionsToUse, unknown } = selectInstalledVersions(versionsFlag, allInstalledVersions);
+  if (unknown.length > 0) {
+    console.error(chalk.red(`Error: Node.js version(s) not installed: ${unknown.join(', ')}`));
+    console.error(chalk.yellow(`Installed versions: ${allInstalledVersions.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
   }
 
   const results = [];
-
-  // Clear output file before starting
-  fs.writeFileSync(OUTPUT_FILE, '');
-
-  for (const version of versionsToUse) {
+  const manifestResults = [];
+
+  const scanSpinner = ora(`Scanning ${versionsToUse.length} Node.js version(s)...`).start();
+  const scanned = await scanGlobalPackages(versionsToUse, { concurrency, refresh });
+  const cachedCount = scanned.filter((result) => result.cached).length;
+  scanSpinner.succeed(
+    `Scanned ${versionsToUse.length} Node.js version(s)` +
+      (cachedCount > 0 ? ` (${cachedCount} unchanged, served from cache)` : '')
+  );
+
+  const rules = getPackageRules();
+  for (const { version, packages: details, error } of scanned) {
     console.log(chalk.yellow(`\nProcessing Node.js version ${version}...`));
-    const packageSpinner = ora("Getting global packages...").start();
-    const packages = await getGlobalPackagesForVersion(version);
-    packageSpinner.stop();
+    if (error) {
+      console.log(chalk.yellow(`Failed to get global packages for Node.js version ${version}: ${error}`));
+    }
+    const packages = details.map((pkg) => pkg.name);
+
+    // Package rules that would apply when migrating this version's packages
+    const { applied } = applyPackageRules(details, rules, version);
+    const notes = {};
+    applied.forEach((entry) => {
+      notes[entry.name] = [...(notes[entry.name] || []), entry.detail];
+    });
+    // Native packages must be rebuilt for another ABI
+    const native = {};
+    details
+      .filter((pkg) => pkg.native)
+      .forEach((pkg) => {
+        native[pkg.name] = pkg.native;
+        notes[pkg.name] = [pkg.native.abi ? `native, ABI ${pkg.native.abi}` : 'native', ...(notes[pkg.name] || [])];
+      });
+    const labels = details.map((pkg) =>
+      notes[pkg.name] ? `${formatPackageOrigin(pkg)} [${notes[pkg.name].join(', ')}]` : formatPackageOrigin(pkg)
+    );
 
     if (!packages.length) {
       console.log(chalk.gray('No global packages found for this version.'));
     } else {
-      console.log(chalk.gray(`Packages: ${packages.join(', ')}`));
+      console.log(chalk.gray(`Packages: ${labels.join(', ')}`));
     }
 
-    // Append to output file with headers
-    fs.appendFileSync(OUTPUT_FILE, `Node Version: ${version}\n`);
-    fs.appendFileSync(
-      OUTPUT_FILE,
-      (packages.length === 0 ? '(No global packages installed)' : packages.join(', ')) + '\n\n'
-    );
+    // Linked, git, tarball and local-path packages, keyed by name
+    const origins = {};
+    details
+      .filter((pkg) => pkg.source && pkg.source !== 'registry')
+      .forEach((pkg) => {
+        origins[pkg.name] = { source: pkg.source, resolved: pkg.resolved || null };
+      });
 
-    results.push({ version, packages });
+    results.push({ version, packages, labels, origins, native, rules: applied });
+    manifestResults.push({ version, packages: details });
   }
 
-  console.log(chalk.green(`\n✅ Global packages saved to ${OUTPUT_FILE}`));
+  try {
+    const manifestPath = writeManifest(createManifest(manifestResults));
+    console.log(chalk.green(`\n✅ Global packages saved to ${manifestPath}`));
+  } catch (error) {
+    console.error(chalk.red('Failed to save global packages manifest:'), error.message);
+  }
 
   if (jsonOutput) {
-    console.log(JSON.stringify(results, null, 2));
+    console.log(
+      JSON.stringify(
+        results.map(({ version, packages, origins, native, rules: appliedRules }) => ({
+          version,
+          packages,
+          ...(Object.keys(origins).length ? { origins } : {}),
+          ...(Object.keys(native).length ? { native } : {}),
+          ...(appliedRules.length ? { rules: appliedRules } : {}),
+        })),
+        null,
+        2
+      )
+    );
   } else {
     if (results.length === 0) {
       console.log(chalk.yellow('No global packages found for selected Node.js versions.'));
@@ -93,10 +129,10 @@ async function listAllCommand(program) {
 
     const tableData = [['Node Version', 'Global Packages']];
 
-    results.forEach(({ version, packages }) => {
+    results.forEach(({ version, labels }) => {
       tableData.push([
         version,
-        packages.length === 0 ? '(None)' : packages.join(', ')
+        labels.length === 0 ? '(None)' : labels.join(', ')
       ]);
     });
 
@@ -1,15 +1,31 @@
 const fs = require('fs');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
-const ora = require('ora');
+const { getBackend, findBackend } = require('../backends');
+const { captureTargetState, rollbackTarget } = require('../rollback');
+const { resolveOption, shouldSkipPrompts, getPackageRules } = require('../config');
+const { applyPackageRules, formatAppliedRule } = require('../package-rules');
+const { checkPackagesEngines, formatEnginesResult } = require('../engines');
+const { verifyNativePackages, formatNativeResult } = require('../native');
 const {
   getInstalledNodeVersions,
   getLatestLtsVersion,
+  resolveNodeVersion,
+  matchInstalledVersion,
   switchNodeVersion,
   getGlobalPackagesForVersion,
+  getGlobalPackageDetailsForVersion,
+  INSTALL_STRATEGIES,
+  getPackageRestoreLabel,
+  isValidNodeVersion,
   installGlobalPackage,
+  restoreGlobalPackages,
   installNodeVersion,
   isVersionStillListed,
+  isInteractive,
+  abortIfNonInteractive,
+  confirmAction,
+  EXIT_CODES,
 } = require("../utils");
 
 /**
@@ -31,16 +47,71 @@ async function getGlobalPackagesFromAllVersions(installedVersions) {
 async function migrateCommand(program) {
   // console.log(chalk.cyan('=== Migrate global packages ==='));
 
+  const opts = program.optsWithGlobals();
+  // Settings not given on the command line come from the config
+  opts.yes = shouldSkipPrompts(opts);
+  opts.strategy = resolveOption(opts.strategy, 'strategy');
+  opts.atomic = resolveOption(opts.atomic, 'atomic');
+
+  // Packages can be read from another version manager, e.g. moving from nvm to fnm
+  const backend = getBackend();
+  let sourceBackend = backend;
+  if (opts.fromBackend) {
+    try {
+      sourceBackend = findBackend(opts.fromBackend);
+    } catch (error) {
+      console.error(chalk.red(error.message));
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      return;
+    }
+  }
+
   // Get installed Node versions
   let installedVersions = await getInstalledNodeVersions();
-  if (!installedVersions.length) {
-    console.log(chalk.yellow("No Node.js versions found installed with nvm."));
+  const sourceInstalledVersions =
+    sourceBackend === backend
+      ? installedVersions
+      : await getInstalledNodeVersions(sourceBackend);
+  if (!sourceInstalledVersions.length) {
+    console.log(chalk.yellow(`No Node.js versions found installed with ${sourceBackend.label}.`));
     return;
   }
 
-  const opts = program.optsWithGlobals();
+  // Like --to, --from accepts "20" or "lts/iron", but it must name an installed version
+  if (opts.from && opts.from !== "all") {
+    let fromVersion = matchInstalledVersion(opts.from, sourceInstalledVersions);
+    if (!fromVersion && isValidNodeVersion(opts.from)) {
+      const resolved = await resolveNodeVersion(opts.from, sourceInstalledVersions);
+      fromVersion = sourceInstalledVersions.includes(resolved) ? resolved : null;
+    }
+    if (!fromVersion) {
+      console.error(
+        chalk.red(`Error: Node.js version '${opts.from}' is not installed with ${sourceBackend.label}.`)
+      );
+      console.error(chalk.yellow(`Installed versions: ${sourceInstalledVersions.join(", ")}`));
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      return;
+    }
+    opts.from = fromVersion;
+  }
+
+  if (opts.strategy && !INSTALL_STRATEGIES.includes(opts.strategy)) {
+    console.error(
+      chalk.red(
+        `Invalid strategy '${opts.strategy}'. Use one of: ${INSTALL_STRATEGIES.join(", ")}`
+      )
+    );
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
 
-  // Interactive prompts if CLI options not provided
+  // Interactive prompts if CLI options not provided; --yes alone doesn't choose the versions
+  if (
+    (!opts.to || !opts.from || !opts.yes) &&
+    abortIfNonInteractive("Re-run with --to, --from and --yes to migrate without prompting.")
+  ) {
+    return;
+  }
   const answers = await inquirer.prompt([
     {
       type: "list",
@@ -53,7 +124,7 @@ async function migrateCommand(program) {
       type: "list",
       name: "from",
       message: "Select source for migration:",
-      choices: installedVersions.concat(["All versions"]),
+      choices: sourceInstalledVersions.concat(["All versions"]),
       when: !opts.from,
     },
     {
@@ -61,20 +132,47 @@ async function migrateCommand(program) {
       name: "installAll",
       message: "Install all packages without prompt?",
       default: false,
-      when: !opts.y,
+      when: !opts.yes,
+    },
+    {
+      type: "list",
+      name: "strategy",
+      message: "Select version strategy for migrated packages:",
+      choices: [
+        { name: "exact  - same version as the source", value: "exact" },
+        { name: "minor  - newest release in the same minor line", value: "minor" },
+        { name: "major  - newest release in the same major line", value: "major" },
+        { name: "latest - latest release (may include breaking changes)", value: "latest" },
+      ],
+      default: "major",
+      when: !opts.strategy && !opts.yes,
     },
   ]);
 
-  let targetVersion =
-    opts.to ||
-    (answers.to === "Latest stable LTS (default)"
-      ? await getLatestLtsVersion()
-      : answers.to);
+  let targetVersion;
+  if (opts.to) {
+    // Accept nvm-style specs such as "22", "lts/iron" or "lts/*"
+    targetVersion = await resolveNodeVersion(opts.to, installedVersions);
+    if (!targetVersion) {
+      console.error(chalk.red(`Could not resolve Node.js version '${opts.to}'.`));
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+      return;
+    }
+  } else {
+    targetVersion =
+      answers.to === "Latest stable LTS (default)"
+        ? await getLatestLtsVersion()
+        : answers.to;
+  }
   if (!targetVersion) {
     console.error(chalk.red("Could not detect latest stable LTS version."));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
     return;
   }
 
+  // Record the target's starting state so a failed migration can be rolled back
+  const targetState = await captureTargetState(targetVersion, installedVersions);
+
   // If target version is not installed, install it first
   let isInstalled = installedVersions.includes(targetVersion);
   if (!isInstalled) {
@@ -90,6 +188,7 @@ async function migrateCommand(program) {
           `Failed to install Node.js version ${targetVersion}. Aborting migration.`
         )
       );
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
       return;
     }
     // Refresh installed versions list
@@ -101,6 +200,7 @@ async function migrateCommand(program) {
           `Node.js version ${targetVersion} still not detected after install. Aborting migration.`
         )
       );
+      process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
       return;
     }
   }
@@ -108,7 +208,9 @@ async function migrateCommand(program) {
   let fromVersion = opts.from || answers.from;
   if (fromVersion === "All versions") fromVersion = "all";
 
-  const installAll = opts.y ?? answers.installAll;
+  const installAll = opts.yes || answers.installAll;
+  // Non-interactive runs without --strategy take the prompt's default, which avoids breaking majors
+  const strategy = opts.strategy || answers.strategy || "major";
 
   // console.log(chalk.blue(`Target Node version: ${targetVersion}`));
   // console.log(
@@ -129,47 +231,29 @@ async function migrateCommand(program) {
     );
   }
 
-  // Gather packages and their versions from source version(s)
+  // Gather packages, their versions and origins from source version(s)
+  const sourceVersions = fromVersion === "all" ? sourceInstalledVersions : [fromVersion];
   let packageMap = {};
-  if (fromVersion === "all") {
-    for (const version of installedVersions) {
-      const pkgs = await getGlobalPackagesForVersion(version);
-      for (const pkg of pkgs) {
-        if (!packageMap[pkg]) {
-          // Get version for this package in this version
-          const { stdout } = await require('../utils').runNvmCmd(["use", version]);
-          try {
-            const { stdout: vout } = await require('execa')('npm', ['ls', '-g', pkg, '--json', '--depth=0'], { shell: true });
-            const data = JSON.parse(vout);
-            if (data.dependencies && data.dependencies[pkg] && data.dependencies[pkg].version) {
-              packageMap[pkg] = data.dependencies[pkg].version;
-            }
-          } catch {}
-        }
-      }
-    }
-  } else {
-    // Get versions for all packages in the source version
-    const pkgs = await getGlobalPackagesForVersion(fromVersion);
+  for (const version of sourceVersions) {
+    const pkgs = await getGlobalPackageDetailsForVersion(version, sourceBackend);
     for (const pkg of pkgs) {
-      try {
-        const nvmDir = require('../utils').getNvmDir();
-        const isWindows = process.platform === 'win32';
-        let vout;
-        if (isWindows) {
-          const cmd = `nvm use ${fromVersion} > NUL && npm ls -g ${pkg} --json --depth=0`;
-          ({ stdout: vout } = await require('execa').command(cmd, { shell: true }));
-        } else {
-          const cmd = `export NVM_DIR=\"${nvmDir}\"; . \"${nvmDir}/nvm.sh\"; nvm use ${fromVersion} > /dev/null; npm ls -g ${pkg} --json --depth=0`;
-          ({ stdout: vout } = await require('execa').command(cmd, { shell: true }));
-        }
-        const data = JSON.parse(vout);
-        if (data.dependencies && data.dependencies[pkg] && data.dependencies[pkg].version) {
-          packageMap[pkg] = data.dependencies[pkg].version;
-        }
-      } catch {}
+      if (!packageMap[pkg.name]) {
+        packageMap[pkg.name] = pkg;
+      }
     }
   }
+
+  // Exclude, pin and replace packages as the package rules say for the target version
+  const { packages: ruledPackages, applied } = applyPackageRules(
+    Object.values(packageMap),
+    getPackageRules(),
+    targetVersion
+  );
+  if (applied.length > 0) {
+    console.log(chalk.blue("\nPackage rules:"));
+    applied.forEach((entry) => console.log(chalk.gray(`  ${formatAppliedRule(entry)}`)));
+  }
+  packageMap = Object.fromEntries(ruledPackages.map((pkg) => [pkg.name, pkg]));
   let allPackages = Object.keys(packageMap);
   if (allPackages.length === 0) {
     console.log(chalk.yellow("No global packages found to migrate."));
@@ -182,10 +266,18 @@ async function migrateCommand(program) {
       type: "checkbox",
       name: "packages",
       message: "Select packages to install:",
-      choices: allPackages.map(pkg => `${pkg}@${packageMap[pkg]}`),
+      choices: allPackages.map((pkg) => {
+        const details = packageMap[pkg];
+        const from = details.replaces || `${pkg}@${details.version}`;
+        const notes = details.ruleNotes ? chalk.gray(` [${details.ruleNotes.join(", ")}]`) : "";
+        return {
+          name: `${from} → ${getPackageRestoreLabel(details, strategy)}${notes}`,
+          value: pkg,
+        };
+      }),
       pageSize: 15,
     });
-    allPackages = pkgSelection.packages.map(str => str.split('@')[0]);
+    allPackages = pkgSelection.packages;
     if (allPackages.length === 0) {
       console.log(
         chalk.yellow("No packages selected for installation. Exiting.")
@@ -194,19 +286,84 @@ async function migrateCommand(program) {
     }
   }
 
-  // Install selected packages with interactive feedback
-  for (const packageName of allPackages) {
-    const versionStr = packageMap[packageName] ? `@${packageMap[packageName]}` : '';
-    const spinner = ora(`Installing ${packageName}${versionStr} to Node.js ${targetVersion}...`).start();
-    const success = await installGlobalPackage(packageName, targetVersion);
-    if (success) {
-      spinner.succeed(`Installed ${packageName}${versionStr} to Node.js ${targetVersion}`);
+  // Leave out packages whose engines.node rules out the target, or fall back to an older release
+  const { packages: specs, results: enginesResults } = await checkPackagesEngines(
+    allPackages.map((packageName) => packageMap[packageName]),
+    targetVersion,
+    strategy
+  );
+  enginesResults.forEach((result) => {
+    const message = formatEnginesResult(result, targetVersion);
+    if (message) console.log(chalk.yellow(`⚠ ${message}`));
+  });
+  if (specs.length === 0) {
+    console.log(chalk.yellow(`\nNo selected package supports Node.js ${targetVersion}. Nothing to install.`));
+    return;
+  }
+
+  // Install selected packages in one batch, re-linking linked packages
+  console.log(chalk.blue(`\nInstalling ${specs.length} package(s) to Node.js ${targetVersion}...`));
+  let installed = [];
+  let failed = [];
+  try {
+    ({ installed, failed } = await restoreGlobalPackages(specs, targetVersion, strategy));
+  } catch (error) {
+    console.error(chalk.red("Migration failed:"), error.message);
+    failed = specs.map((pkg) => getPackageRestoreLabel(pkg, strategy));
+  }
+  installed.forEach((spec) => console.log(chalk.green(`✔ Installed ${spec} to Node.js ${targetVersion}`)));
+  failed.forEach((spec) => console.log(chalk.red(`✖ Failed to install package ${spec} to Node.js ${targetVersion}`)));
+
+  // Native addons are built for one ABI: check they load on the target and rebuild those that don't
+  let nativeResults = [];
+  let nativeError = null;
+  try {
+    if (installed.length > 0) nativeResults = await verifyNativePackages(specs, targetVersion);
+  } catch (error) {
+    nativeError = error;
+    console.error(chalk.red(`Could not check native packages on Node.js ${targetVersion}:`), error.message);
+  }
+  if (nativeResults.length > 0) {
+    console.log(chalk.cyan(`\nNative packages on Node.js ${targetVersion}:`));
+    nativeResults.forEach((result) => {
+      const line = formatNativeResult(result);
+      if (result.status === "failed") console.log(chalk.red(`✖ ${line}`));
+      else if (result.status === "unchecked") console.log(chalk.yellow(`⚠ ${line}`));
+      else console.log(chalk.green(`✔ ${line}`));
+    });
+  }
+  const nativeFailed = nativeResults.filter((result) => result.status === "failed");
+
+  if (failed.length > 0 || nativeFailed.length > 0 || nativeError) {
+    let summary;
+    if (failed.length > 0) {
+      summary = `Migrated ${installed.length} of ${specs.length} global packages to Node version ${targetVersion}`;
+    } else if (nativeError) {
+      summary = `Native packages on Node version ${targetVersion} could not be checked`;
     } else {
-      spinner.fail(`Failed to install package ${packageName}${versionStr} to Node.js ${targetVersion}`);
-      // Optionally handle abort or continue
+      summary = `${nativeFailed.length} native package(s) do not load on Node version ${targetVersion}`;
     }
-  }
+    console.log(chalk.yellow(`\n⚠️  ${summary}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
 
+    // --atomic rolls back on any failure, interactive runs ask first
+    const rollBack =
+      opts.atomic ||
+      (!opts.yes &&
+        isInteractive() &&
+        (await confirmAction(`Roll back Node.js ${targetVersion} to its state before the migration?`)));
+    if (rollBack) {
+      console.log(chalk.blue(`\nRolling back Node.js ${targetVersion}...`));
+      if (await rollbackTarget(targetState)) {
+        console.log(chalk.green(`✔ Rolled back Node.js ${targetVersion} to its state before the migration`));
+      } else {
+        console.error(
+          chalk.red(`✖ Rollback of Node.js ${targetVersion} was incomplete; check its global packages with list-all`)
+        );
+      }
+    }
+    return;
+  }
   console.log(chalk.green(`\n✅ Successfully migrated global packages to Node version ${targetVersion}`));
 }
 
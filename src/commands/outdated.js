@@ -0,0 +1,104 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const semver = require('semver');
+const { table } = require('table');
+const { getInstalledNodeVersions, selectInstalledVersions, EXIT_CODES } = require('../utils');
+const { scanGlobalPackages } = require('../scan');
+const { getConfigValue } = require('../config');
+const { checkOutdated, isOutdated } = require('../outdated');
+
+/**
+ * Matrix cell for one package on one Node.js version
+ * @param {{current: string, wanted: string, latest: string, deprecated: string|null}} [entry]
+ * @returns {string}
+ */
+function formatCell(entry) {
+  if (!entry) return chalk.gray('-');
+  if (!isOutdated(entry)) {
+    return entry.deprecated ? chalk.red(`${entry.current}\ndeprecated`) : chalk.green(entry.current);
+  }
+  // Like npm outdated: red when a semver-compatible update exists, yellow when only a major one does
+  const lines = [semver.gt(entry.wanted, entry.current) ? chalk.red(entry.current) : chalk.yellow(entry.current)];
+  lines.push(chalk.green(`wanted ${entry.wanted}`));
+  lines.push(chalk.magenta(`latest ${entry.latest}`));
+  if (entry.deprecated) lines.push(chalk.red('deprecated'));
+  return lines.join('\n');
+}
+
+/**
+ * Outdated command handler: show which registry global packages have newer releases,
+ * as a package × Node.js version matrix. Exits with ISSUES_FOUND when any package is outdated or
+ * deprecated, and with PARTIAL_FAILURE when a version can't be scanned or a package can't be checked.
+ * @param {{versions?: string, all?: boolean, refresh?: boolean, json?: boolean}} [options]
+ *   versions: comma-separated versions to check (default: all installed),
+ *   all: include packages that are up to date everywhere, refresh: ignore cached registry metadata
+ */
+async function outdatedCommand(options = {}) {
+  const installedVersions = await getInstalledNodeVersions();
+  if (installedVersions.length === 0) {
+    console.log(chalk.yellow('No Node.js versions found.'));
+    return;
+  }
+  const { versions, unknown } = selectInstalledVersions(options.versions, installedVersions);
+  if (unknown.length > 0) {
+    console.error(chalk.red(`Error: Node.js version(s) not installed: ${unknown.join(', ')}`));
+    console.error(chalk.yellow(`Installed versions: ${installedVersions.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const spinner = ora(`Scanning ${versions.length} Node.js version(s)...`).start();
+  const scanned = await scanGlobalPackages(versions, { concurrency: getConfigValue('concurrency') });
+  spinner.text = 'Checking global packages against the registry...';
+  const entries = await checkOutdated(scanned.filter((result) => !result.error), { refresh: options.refresh });
+  spinner.stop();
+
+  scanned
+    .filter((result) => result.error)
+    .forEach(({ version, error }) => console.log(chalk.yellow(`Skipping Node.js ${version}: ${error}`)));
+  const unreachable = [...new Set(entries.filter((entry) => entry.error).map((entry) => entry.name))];
+  if (unreachable.length > 0) {
+    console.log(chalk.yellow(`Could not check ${unreachable.join(', ')} against the registry.`));
+  }
+
+  // Deprecated releases need attention even when nothing newer is published
+  const outdated = entries.filter((entry) => isOutdated(entry) || entry.deprecated);
+  if (outdated.length > 0) {
+    process.exitCode = EXIT_CODES.ISSUES_FOUND;
+  }
+  // Versions or packages that couldn't be checked make the result incomplete
+  if (unreachable.length > 0 || scanned.some((result) => result.error)) {
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(options.all ? entries : outdated, null, 2));
+    return;
+  }
+
+  const shown = options.all ? entries : outdated;
+  if (shown.length === 0) {
+    console.log(chalk.green(`✅ Global packages are up to date on ${versions.length} Node.js version(s).`));
+    return;
+  }
+
+  const names = [...new Set(shown.map((entry) => entry.name))];
+  const columns = versions.filter((version) => shown.some((entry) => entry.node === version));
+  const tableData = [['Package', ...columns]];
+  names.forEach((name) => {
+    tableData.push([
+      name,
+      ...columns.map((version) => formatCell(entries.find((entry) => entry.name === name && entry.node === version))),
+    ]);
+  });
+  console.log(chalk.cyan('=== Outdated global packages ==='));
+  console.log(table(tableData));
+  console.log(
+    chalk.gray(
+      'Each cell shows the installed version, the newest release in its major (wanted) and the newest release overall (latest) that support that Node.js version.'
+    )
+  );
+  console.log(chalk.gray('Run "nvm-manager update" to update them.'));
+}
+
+module.exports = outdatedCommand;
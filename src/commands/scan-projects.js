@@ -0,0 +1,71 @@
+const path = require('path');
+const chalk = require('chalk');
+const { table } = require('table');
+const { getInstalledNodeVersions, EXIT_CODES } = require('../utils');
+const { scanProjects, getProtectedVersions } = require('../projects');
+const { getConfigValue, resolveOption } = require('../config');
+
+/**
+ * Report which installed Node.js versions projects in the given workspaces rely on
+ * @param {string[]} dirs workspace directories to scan, defaults to the configured projects
+ * @param {{json?: boolean, depth?: string}} [options]
+ */
+async function scanProjectsCommand(dirs, options = {}) {
+  const maxDepth = options.depth ? parseInt(options.depth, 10) : getConfigValue('scanDepth');
+  if (Number.isNaN(maxDepth) || maxDepth < 0) {
+    console.error(chalk.red(`Invalid number for --depth: ${options.depth}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  dirs = resolveOption(dirs, 'projects');
+  if (dirs.length === 0) {
+    console.error(chalk.red('No directories to scan. Pass them as arguments or set them with "nvm-manager config set projects <dirs>".'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const installedVersions = await getInstalledNodeVersions();
+  const result = scanProjects(dirs, installedVersions, { maxDepth });
+
+  if (options.json) {
+    const protectedVersions = Object.fromEntries(getProtectedVersions(result));
+    console.log(JSON.stringify({ ...result, protectedVersions }, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyan('=== Node.js versions requested by projects ==='));
+  if (result.requests.length === 0) {
+    console.log(chalk.yellow('No .nvmrc, .node-version, engines.node or volta.node found.'));
+    return;
+  }
+
+  const cwd = process.cwd();
+  const tableData = [['Project', 'Source', 'Requested', 'Installed match']];
+  result.requests.forEach(({ project, source, requested, match }) => {
+    tableData.push([
+      path.relative(cwd, project) || '.',
+      source,
+      requested,
+      match ? chalk.green(match) : chalk.red('none'),
+    ]);
+  });
+  console.log(table(tableData));
+
+  const protectedVersions = getProtectedVersions(result);
+  if (protectedVersions.size > 0) {
+    console.log(chalk.blue('Installed versions in use by projects:'));
+    protectedVersions.forEach((projects, version) =>
+      console.log(chalk.gray(`  ${version} ← ${projects.length} project(s)`))
+    );
+  }
+
+  if (result.unsatisfied.length > 0) {
+    console.log(chalk.yellow(`\n⚠️  ${result.unsatisfied.length} request(s) not satisfied by any installed version:`));
+    result.unsatisfied.forEach(({ project, source, requested }) =>
+      console.log(chalk.gray(`  ${path.relative(cwd, project) || '.'} (${source}): ${requested}`))
+    );
+  }
+}
+
+module.exports = scanProjectsCommand;
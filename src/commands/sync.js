@@ -0,0 +1,249 @@
+const chalk = require('chalk');
+const ora = require('ora');
+const semver = require('semver');
+const { table } = require('table');
+const {
+  getInstalledNodeVersions,
+  selectInstalledVersions,
+  INSTALL_STRATEGIES,
+  getPackageReinstallSpec,
+  getPackageRestoreLabel,
+  installGlobalPackage,
+  linkGlobalPackage,
+  parseListOption,
+  confirmAction,
+  abortIfNonInteractive,
+  EXIT_CODES,
+} = require('../utils');
+const { scanGlobalPackages } = require('../scan');
+const { loadPackageSet } = require('../manifest');
+const { resolveOption, shouldSkipPrompts, getConfigValue, getPackageRules } = require('../config');
+const { applyPackageRules, formatAppliedRule } = require('../package-rules');
+const { checkPackagesEngines, formatEnginesResult } = require('../engines');
+
+/**
+ * Union of the global packages of several versions; the highest installed version of each package wins
+ * @param {{packages: object[]}[]} scanned
+ * @returns {object[]} sorted by name
+ */
+function unionPackages(scanned) {
+  const union = new Map();
+  const isNewer = (version, other) =>
+    Boolean(semver.valid(version)) && (!semver.valid(other) || semver.gt(version, other));
+  scanned.forEach(({ packages }) =>
+    packages.forEach((pkg) => {
+      const existing = union.get(pkg.name);
+      if (!existing || isNewer(pkg.version, existing.version)) {
+        union.set(pkg.name, pkg);
+      }
+    })
+  );
+  return Array.from(union.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Work out what a version is missing from the reference set, after package rules and engines checks
+ * @param {string} version
+ * @param {object[]} installedPackages the version's global packages
+ * @param {object[]} reference
+ * @param {string} strategy
+ * @param {object} rules
+ * @returns {Promise<{version: string, present: number, install: object[], skipped: {name: string, reason: string}[]}>}
+ */
+async function planVersion(version, installedPackages, reference, strategy, rules) {
+  const present = new Set(installedPackages.map((pkg) => pkg.name));
+  const missing = reference.filter((pkg) => !present.has(pkg.name));
+  const skipped = [];
+
+  const { packages: ruled, applied } = applyPackageRules(missing, rules, version);
+  applied
+    .filter((entry) => entry.action === 'exclude')
+    .forEach((entry) => skipped.push({ name: entry.name, reason: formatAppliedRule(entry) }));
+
+  // A replacement may already be installed
+  const { packages: install, results } = await checkPackagesEngines(
+    ruled.filter((pkg) => !present.has(pkg.name)),
+    version,
+    strategy
+  );
+  results
+    .filter((result) => result.status === 'incompatible')
+    .forEach((result) => skipped.push({ name: result.name, reason: formatEnginesResult(result, version) }));
+
+  return { version, present: reference.length - missing.length, install, skipped };
+}
+
+/**
+ * Sync command handler: install the packages of a reference set that each Node.js version is missing.
+ * Packages a version has beyond the reference set are left alone.
+ * @param {{from?: string, packages?: string, versions?: string, strategy?: string, dryRun?: boolean,
+ *   yes?: boolean, json?: boolean}} [options]
+ *   from: installed version or manifest file whose packages are the reference set (default: union of all versions),
+ *   packages: comma-separated registry packages to use as the reference set instead,
+ *   versions: comma-separated versions to sync (default: all installed)
+ */
+async function syncCommand(options = {}) {
+  const strategy = resolveOption(options.strategy, 'strategy') || 'latest';
+  if (!INSTALL_STRATEGIES.includes(strategy)) {
+    console.error(chalk.red(`Invalid strategy '${strategy}'. Use one of: ${INSTALL_STRATEGIES.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const installedVersions = await getInstalledNodeVersions();
+  if (installedVersions.length === 0) {
+    console.log(chalk.yellow('No Node.js versions found.'));
+    return;
+  }
+
+  const { versions: targetVersions, unknown } = selectInstalledVersions(options.versions, installedVersions);
+  if (unknown.length > 0) {
+    console.error(chalk.red(`Error: Node.js version(s) not installed: ${unknown.join(', ')}`));
+    console.error(chalk.yellow(`Installed versions: ${installedVersions.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const spinner = ora(`Scanning ${installedVersions.length} Node.js version(s)...`).start();
+  const scanned = await scanGlobalPackages(installedVersions, { concurrency: getConfigValue('concurrency') });
+  spinner.stop();
+  const failedScans = scanned.filter((result) => result.error && targetVersions.includes(result.version));
+  failedScans.forEach(({ version, error }) =>
+    console.log(chalk.yellow(`Skipping Node.js ${version}: ${error}`))
+  );
+
+  // Reference set
+  let reference;
+  let referenceLabel;
+  try {
+    if (options.packages) {
+      reference = parseListOption(options.packages).map((name) => ({ name, version: null, source: 'registry' }));
+      referenceLabel = '--packages';
+    } else if (options.from) {
+      const set = await loadPackageSet(options.from, installedVersions);
+      reference = set.packages;
+      referenceLabel = set.label;
+    } else {
+      reference = unionPackages(scanned);
+      referenceLabel = `union of ${installedVersions.length} version(s)`;
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  if (reference.length === 0) {
+    console.log(chalk.yellow('The reference package set is empty. Nothing to sync.'));
+    return;
+  }
+
+  const rules = getPackageRules();
+  const plans = [];
+  for (const { version, packages, error } of scanned) {
+    if (!targetVersions.includes(version) || error) continue;
+    plans.push(await planVersion(version, packages, reference, strategy, rules));
+  }
+
+  const toInstall = plans.reduce((count, plan) => count + plan.install.length, 0);
+  if (!options.json) {
+    console.log(
+      chalk.cyan(`=== Syncing ${plans.length} Node.js version(s) to ${reference.length} package(s) (${referenceLabel}) ===`)
+    );
+    plans.forEach((plan) => {
+      if (plan.install.length === 0 && plan.skipped.length === 0) return;
+      console.log(chalk.yellow(`\nNode.js ${plan.version}:`));
+      plan.install.forEach((pkg) => console.log(chalk.gray(`  + ${getPackageRestoreLabel(pkg, strategy)}`)));
+      plan.skipped.forEach((entry) => console.log(chalk.gray(`  ⚠ ${entry.reason}`)));
+    });
+  }
+
+  const results = plans.map((plan) => ({
+    version: plan.version,
+    present: plan.present,
+    install: plan.install.map((pkg) => getPackageRestoreLabel(pkg, strategy)),
+    installed: [],
+    failed: [],
+    skipped: plan.skipped,
+  }));
+
+  if (toInstall > 0 && !options.dryRun) {
+    if (!shouldSkipPrompts(options)) {
+      if (abortIfNonInteractive('Re-run with --yes to install without prompting.')) {
+        return;
+      }
+      if (!(await confirmAction(`Install ${toInstall} package(s) across ${plans.length} Node.js version(s)?`))) {
+        console.log(chalk.yellow('Aborted by user.'));
+        process.exitCode = EXIT_CODES.ABORTED;
+        return;
+      }
+    }
+
+    for (const [index, plan] of plans.entries()) {
+      for (const pkg of plan.install) {
+        const label = getPackageRestoreLabel(pkg, strategy);
+        const installSpinner = ora(`Installing ${label} into Node.js ${plan.version}...`).start();
+        const ok =
+          pkg.source === 'link' && pkg.resolved
+            ? await linkGlobalPackage(pkg.resolved, plan.version)
+            : await installGlobalPackage(getPackageReinstallSpec(pkg, strategy), plan.version);
+        if (ok) {
+          installSpinner.succeed(`Installed ${label} into Node.js ${plan.version}`);
+          results[index].installed.push(label);
+        } else {
+          installSpinner.fail(`Failed to install ${label} into Node.js ${plan.version}`);
+          results[index].failed.push(label);
+        }
+      }
+    }
+  }
+
+  const failedCount = results.reduce((count, result) => count + result.failed.length, 0);
+  if (failedCount > 0 || failedScans.length > 0) {
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ reference: referenceLabel, dryRun: Boolean(options.dryRun), results }, null, 2));
+    return;
+  }
+
+  const list = (items) => (items.length ? items.join(', ') : '-');
+  const tableData = options.dryRun || toInstall === 0
+    ? [['Node Version', 'Already Present', 'To Install', 'Skipped']]
+    : [['Node Version', 'Already Present', 'Installed', 'Failed', 'Skipped']];
+  results.forEach((result) => {
+    const skipped = list(result.skipped.map((entry) => entry.name));
+    tableData.push(
+      options.dryRun || toInstall === 0
+        ? [result.version, String(result.present), list(result.install), skipped]
+        : [
+            result.version,
+            String(result.present),
+            chalk.green(list(result.installed)),
+            result.failed.length ? chalk.red(list(result.failed)) : '-',
+            skipped,
+          ]
+    );
+  });
+  console.log(
+    '\n' +
+      table(tableData, {
+        columns: {
+          2: { width: 40, wrapWord: true },
+          3: { width: 30, wrapWord: true },
+        },
+      })
+  );
+
+  if (toInstall === 0) {
+    console.log(chalk.green('✅ Every version already has the reference packages.'));
+  } else if (options.dryRun) {
+    console.log(chalk.cyan(`Dry run: ${toInstall} package(s) would be installed. Nothing was changed.`));
+  } else if (failedCount > 0) {
+    console.log(chalk.yellow(`⚠️  Sync finished with ${failedCount} failure(s).`));
+  } else {
+    console.log(chalk.green(`✅ Installed ${toInstall} package(s).`));
+  }
+}
+
+module.exports = syncCommand;
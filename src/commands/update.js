@@ -0,0 +1,153 @@
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { table } = require('table');
+const {
+  getInstalledNodeVersions,
+  selectInstalledVersions,
+  installGlobalPackages,
+  abortIfNonInteractive,
+  EXIT_CODES,
+} = require('../utils');
+const { scanGlobalPackages } = require('../scan');
+const { getConfigValue, shouldSkipPrompts, getPackageRules } = require('../config');
+const { applyPackageRules, formatAppliedRule } = require('../package-rules');
+const { checkOutdated } = require('../outdated');
+
+/**
+ * Update command handler: update registry global packages on every (or the selected) Node.js version.
+ * By default packages move to the newest release in their major that supports the Node.js version.
+ * Package rules apply: excluded and replaced packages are left alone, pinned ones stay within their pin.
+ * @param {string[]} [packageNames] only update these packages
+ * @param {{versions?: string, major?: boolean, patchOnly?: boolean, dryRun?: boolean, yes?: boolean}} [options]
+ *   major: also cross major versions, patchOnly: only take patch releases
+ */
+async function updateCommand(packageNames = [], options = {}) {
+  if (options.major && options.patchOnly) {
+    console.error(chalk.red('Error: --major and --patch-only cannot be combined.'));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  const level = options.major ? 'latest' : options.patchOnly ? 'patch' : 'wanted';
+
+  const installedVersions = await getInstalledNodeVersions();
+  if (installedVersions.length === 0) {
+    console.log(chalk.yellow('No Node.js versions found.'));
+    return;
+  }
+  const { versions, unknown } = selectInstalledVersions(options.versions, installedVersions);
+  if (unknown.length > 0) {
+    console.error(chalk.red(`Error: Node.js version(s) not installed: ${unknown.join(', ')}`));
+    console.error(chalk.yellow(`Installed versions: ${installedVersions.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const spinner = ora(`Scanning ${versions.length} Node.js version(s)...`).start();
+  const scanned = await scanGlobalPackages(versions, { concurrency: getConfigValue('concurrency') });
+  const notInstalled = packageNames.filter(
+    (name) => !scanned.some((result) => !result.error && result.packages.some((pkg) => pkg.name === name))
+  );
+  if (notInstalled.length > 0) {
+    spinner.stop();
+    console.error(chalk.red(`Error: package(s) not installed on the selected Node.js versions: ${notInstalled.join(', ')}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  const rules = getPackageRules();
+  const ruleNotes = new Set();
+  const selectedScans = scanned
+    .filter((result) => !result.error)
+    .map((result) => {
+      const requested = packageNames.length
+        ? result.packages.filter((pkg) => packageNames.includes(pkg.name))
+        : result.packages;
+      const { packages, applied } = applyPackageRules(requested, rules, result.version);
+      applied.forEach((entry) => ruleNotes.add(formatAppliedRule(entry)));
+      // Replacements are for installs; updating never swaps a package for another
+      return { ...result, packages: packages.filter((pkg) => !pkg.replaces) };
+    });
+  spinner.text = 'Checking global packages against the registry...';
+  const updates = (await checkOutdated(selectedScans)).filter((entry) => entry[level] !== entry.current);
+  spinner.stop();
+
+  const failedScans = scanned.filter((result) => result.error);
+  failedScans.forEach(({ version, error }) => console.log(chalk.yellow(`Skipping Node.js ${version}: ${error}`)));
+  if (failedScans.length > 0) {
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+  }
+  if (ruleNotes.size > 0) {
+    console.log(chalk.blue('Package rules:'));
+    ruleNotes.forEach((note) => console.log(chalk.gray(`  ${note}`)));
+  }
+
+  if (updates.length === 0) {
+    console.log(chalk.green(`✅ No ${level === 'patch' ? 'patch ' : ''}updates available.`));
+    return;
+  }
+
+  const describe = (entry) => `${entry.name} on Node.js ${entry.node}: ${entry.current} → ${entry[level]}`;
+  let selected = updates;
+  if (!options.dryRun && !shouldSkipPrompts(options)) {
+    if (abortIfNonInteractive('Re-run with --yes to update every package without prompting.')) {
+      return;
+    }
+    const answers = await inquirer.prompt({
+      type: 'checkbox',
+      name: 'updates',
+      message: 'Select packages to update:',
+      choices: updates.map((entry) => ({ name: describe(entry), value: entry, checked: true })),
+      pageSize: 15,
+    });
+    selected = answers.updates;
+    if (selected.length === 0) {
+      console.log(chalk.yellow('No packages selected. Exiting.'));
+      return;
+    }
+  }
+
+  if (options.dryRun) {
+    console.log(chalk.cyan(`Dry run: ${selected.length} update(s) available:`));
+    selected.forEach((entry) => console.log(chalk.gray(`  ${describe(entry)}`)));
+    return;
+  }
+
+  // One npm run per Node.js version
+  const results = [];
+  for (const version of versions) {
+    const specs = selected
+      .filter((entry) => entry.node === version)
+      .map((entry) => `${entry.name}@${entry[level]}`);
+    if (specs.length === 0) continue;
+    console.log(chalk.blue(`\nUpdating ${specs.length} package(s) on Node.js ${version}...`));
+    results.push({ version, ...(await installGlobalPackages(specs, version)) });
+  }
+
+  const tableData = [['Node Version', 'Updated', 'Failed']];
+  results.forEach(({ version, installed, failed }) => {
+    tableData.push([
+      version,
+      installed.length ? chalk.green(installed.join(', ')) : '-',
+      failed.length ? chalk.red(failed.join(', ')) : '-',
+    ]);
+  });
+  console.log(
+    '\n' +
+      table(tableData, {
+        columns: {
+          1: { width: 40, wrapWord: true },
+          2: { width: 30, wrapWord: true },
+        },
+      })
+  );
+
+  const failedCount = results.reduce((count, result) => count + result.failed.length, 0);
+  if (failedCount > 0) {
+    console.log(chalk.yellow(`⚠️  Update finished with ${failedCount} failure(s).`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  console.log(chalk.green(`✅ Updated ${selected.length} package(s).`));
+}
+
+module.exports = updateCommand;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const ora = require('ora');
+const { table } = require('table');
+const { getBackend } = require('../backends');
+const {
+  getInstalledNodeVersions,
+  getNodeVersionDir,
+  confirmAction,
+  EXIT_CODES,
+  abortIfNonInteractive,
+} = require('../utils');
+const {
+  getDirectorySize,
+  formatBytes,
+  getVersionUsage,
+  getDownloadCacheDir,
+  getNpmCacheDir,
+  findPartialInstalls,
+} = require('../disk-usage');
+const { getConfigValue, shouldSkipPrompts } = require('../config');
+
+/**
+ * Remove the version manager's download cache and partially installed versions
+ * @param {string|null} nvmCacheDir
+ * @param {string[]} partialInstalls
+ * @returns {number} failures
+ */
+function pruneDiskUsage(nvmCacheDir, partialInstalls) {
+  let failures = 0;
+  const targets = partialInstalls.map((version) => getNodeVersionDir(version));
+  if (nvmCacheDir && fs.existsSync(nvmCacheDir)) {
+    targets.unshift(nvmCacheDir);
+  }
+
+  for (const target of targets) {
+    try {
+      fs.rmSync(target, { recursive: true, force: true });
+      console.log(chalk.green(`✅ Removed ${target}`));
+    } catch (error) {
+      console.error(chalk.red(`❌ Failed to remove ${target}:`), error.message);
+      failures++;
+    }
+  }
+  return failures;
+}
+
+/**
+ * Report disk usage of installed Node.js versions and caches, optionally pruning caches
+ * @param {{json?: boolean, top?: string, prune?: boolean, yes?: boolean}} [options]
+ */
+async function usageCommand(options = {}) {
+  const top = options.top ? parseInt(options.top, 10) : getConfigValue('usageTop');
+  if (Number.isNaN(top) || top < 0) {
+    console.error(chalk.red(`Invalid number for --top: ${options.top}`));
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+
+  const installedVersions = await getInstalledNodeVersions();
+  const spinner = ora('Measuring disk usage...').start();
+
+  const versions = [];
+  for (const version of installedVersions) {
+    spinner.text = `Measuring Node.js ${version}...`;
+    versions.push(await getVersionUsage(version));
+  }
+  versions.sort((a, b) => b.total - a.total);
+
+  spinner.text = 'Measuring caches...';
+  const nvmCacheDir = getDownloadCacheDir();
+  const npmCacheDir = await getNpmCacheDir();
+  const nvmCache = nvmCacheDir ? { path: nvmCacheDir, size: await getDirectorySize(nvmCacheDir) } : null;
+  const npmCache = npmCacheDir ? { path: npmCacheDir, size: await getDirectorySize(npmCacheDir) } : null;
+  const partialInstalls = findPartialInstalls(installedVersions);
+  spinner.stop();
+
+  if (options.json) {
+    console.log(
+      JSON.stringify({ versions, nvmCache, npmCache, partialInstalls }, null, 2)
+    );
+  } else {
+    console.log(chalk.cyan('=== Disk usage of installed Node.js versions ==='));
+    const tableData = [['Node Version', 'Total', 'Runtime', 'Global Packages', 'Largest Packages']];
+    versions.forEach((usage) => {
+      tableData.push([
+        usage.version + (partialInstalls.includes(usage.version) ? chalk.red(' (partial)') : ''),
+        formatBytes(usage.total),
+        formatBytes(usage.runtime),
+        formatBytes(usage.globalModules),
+        usage.packages
+          .slice(0, top)
+          .map((pkg) => `${pkg.name} (${formatBytes(pkg.size)})`)
+          .join('\n') || '(None)',
+      ]);
+    });
+    console.log(table(tableData));
+
+    const versionsTotal = versions.reduce((sum, usage) => sum + usage.total, 0);
+    console.log(chalk.blue(`Node.js versions: ${formatBytes(versionsTotal)}`));
+    if (nvmCache) {
+      console.log(chalk.blue(`${getBackend().label} download cache (${nvmCache.path}): ${formatBytes(nvmCache.size)}`));
+    }
+    if (npmCache) {
+      console.log(chalk.blue(`npm cache (${npmCache.path}): ${formatBytes(npmCache.size)}`));
+    }
+    if (partialInstalls.length > 0) {
+      console.log(chalk.yellow(`Partial installs (no node executable): ${partialInstalls.join(', ')}`));
+    }
+  }
+
+  if (!options.prune) return;
+
+  const reclaimable =
+    (nvmCache ? nvmCache.size : 0) +
+    versions
+      .filter((usage) => partialInstalls.includes(usage.version))
+      .reduce((sum, usage) => sum + usage.total, 0);
+  if (reclaimable === 0 && partialInstalls.length === 0) {
+    console.log(chalk.green('\nNothing to prune.'));
+    return;
+  }
+
+  if (!shouldSkipPrompts(options)) {
+    if (abortIfNonInteractive('Re-run with --yes to prune without prompting.')) {
+      return;
+    }
+    const confirmed = await confirmAction(
+      `Prune ${getBackend().label} download cache and ${partialInstalls.length} partial install(s) to reclaim ${formatBytes(reclaimable)}?`
+    );
+    if (!confirmed) {
+      console.log(chalk.yellow('Aborted by user.'));
+      process.exitCode = EXIT_CODES.ABORTED;
+      return;
+    }
+  }
+
+  const failures = pruneDiskUsage(nvmCache && nvmCache.path, partialInstalls);
+  if (failures > 0) {
+    process.exitCode = EXIT_CODES.PARTIAL_FAILURE;
+    return;
+  }
+  console.log(chalk.green(`\n✅ Reclaimed ${formatBytes(reclaimable)}.`));
+}
+
+module.exports = usageCommand;
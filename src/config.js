@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { getDataDir, INSTALL_STRATEGIES } = require('./utils');
+const { BACKEND_NAMES } = require('./backends');
+const { DEFAULT_SCAN_CONCURRENCY } = require('./scan');
+const { DEFAULT_SCAN_DEPTH } = require('./projects');
+const { validatePackageRules, mergePackageRules } = require('./package-rules');
+
+const USER_CONFIG_FILE_NAME = 'config.json';
+
+const PROJECT_CONFIG_FILE_NAME = '.nvm-managerrc';
+
+/**
+ * Settings that can be configured, with their type, default and description.
+ * Each key can also be set with an NVM_MANAGER_<KEY> environment variable,
+ * e.g. ignorePackages is NVM_MANAGER_IGNORE_PACKAGES.
+ * Path settings in a project file are relative to the file's directory.
+ * userOnly settings let a file install or remove things without asking, choose which
+ * version manager's installs are changed, or read and write files outside the project,
+ * so they are ignored in project files, which may come from a cloned repository.
+ */
+const CONFIG_SCHEMA = {
+  backend: { type: 'string', userOnly: true, choices: BACKEND_NAMES, default: null, description: 'Version manager to use (default: auto-detect)' },
+  prompt: { type: 'boolean', userOnly: true, default: true, description: 'Ask before installing or removing; false acts like --yes' },
+  keep: { type: 'list', default: [], description: 'Node.js versions cleanup and fix-failed always keep' },
+  keepLtsLatest: { type: 'boolean', default: false, description: 'cleanup keeps the newest patch of each LTS major' },
+  keepRecent: { type: 'number', default: 0, description: 'cleanup keeps the N most recently installed versions' },
+  keepRange: { type: 'list', default: [], description: 'cleanup keeps versions matching these semver ranges' },
+  projects: { type: 'list', path: true, default: [], description: 'Workspace directories whose projects\' versions are kept' },
+  ignorePackages: { type: 'list', default: [], description: 'Global packages migrate, install-lts and import never install' },
+  packageRules: {
+    type: 'object',
+    userOnly: true,
+    validate: validatePackageRules,
+    default: {},
+    description: 'Per-package exclude, pin and replace rules, e.g. {"tslint":{"replace":"eslint"}}',
+  },
+  strategy: { type: 'string', choices: INSTALL_STRATEGIES, default: null, description: 'Version strategy for migrated packages' },
+  atomic: { type: 'boolean', default: false, description: 'migrate rolls back when any package fails' },
+  concurrency: { type: 'number', default: DEFAULT_SCAN_CONCURRENCY, description: 'Node.js versions list-all scans in parallel' },
+  manifest: { type: 'string', path: true, userOnly: true, default: null, description: 'Snapshot manifest location (default: data directory)' },
+  scanDepth: { type: 'number', default: DEFAULT_SCAN_DEPTH, description: 'Directory depth scan-projects searches' },
+  usageTop: { type: 'number', default: 3, description: 'Largest packages usage shows per version' },
+  registryCacheTtl: { type: 'number', default: 60, description: 'Minutes registry metadata stays cached on disk; 0 disables the cache' },
+};
+
+const CONFIG_KEYS = Object.keys(CONFIG_SCHEMA);
+
+/** Merged configuration, loaded once per run */
+let loadedConfig = null;
+
+/**
+ * Location of the user-level config file in the per-user data directory
+ * @returns {string}
+ */
+function getUserConfigPath() {
+  return path.join(getDataDir(), USER_CONFIG_FILE_NAME);
+}
+
+/**
+ * Find the nearest project config, searching from a directory up to the filesystem root
+ * @param {string} [startDir=process.cwd()]
+ * @returns {string|null} path to .nvm-managerrc or null if there is none
+ */
+function findProjectConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  for (;;) {
+    const candidate = path.join(dir, PROJECT_CONFIG_FILE_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Environment variable for a setting
+ * @param {string} key e.g. 'ignorePackages'
+ * @returns {string} e.g. 'NVM_MANAGER_IGNORE_PACKAGES'
+ */
+function getConfigEnvName(key) {
+  return `NVM_MANAGER_${key.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+}
+
+/**
+ * Convert a value from a config file, environment variable or `config set` to the setting's type
+ * @param {string} key
+ * @param {*} value strings are parsed: lists are comma-separated, booleans true/false/yes/no/1/0
+ * @returns {*}
+ * @throws {Error} for unknown keys and values of the wrong type
+ */
+function parseConfigValue(key, value) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) {
+    throw new Error(`Unknown config key '${key}'. Known keys: ${CONFIG_KEYS.join(', ')}`);
+  }
+  if (value === null) return null;
+
+  switch (spec.type) {
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const normalized = String(value).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(normalized)) return true;
+      if (['false', 'no', '0'].includes(normalized)) return false;
+      throw new Error(`Invalid value for ${key}: expected true or false, got '${value}'`);
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number) || number < 0) {
+        throw new Error(`Invalid value for ${key}: expected a whole number, got '${value}'`);
+      }
+      return number;
+    }
+    case 'list': {
+      const items = Array.isArray(value) ? value : String(value).split(',');
+      return items.map((item) => String(item).trim()).filter(Boolean);
+    }
+    case 'object': {
+      let object = value;
+      if (typeof value === 'string') {
+        try {
+          object = JSON.parse(value);
+        } catch (error) {
+          throw new Error(`Invalid value for ${key}: expected JSON, ${error.message}`);
+        }
+      }
+      try {
+        return spec.validate(object);
+      } catch (error) {
+        throw new Error(`Invalid value for ${key}: ${error.message}`);
+      }
+    }
+    default: {
+      const text = String(value).trim();
+      if (spec.choices && !spec.choices.includes(text)) {
+        throw new Error(`Invalid value for ${key}: use one of ${spec.choices.join(', ')}`);
+      }
+      return text;
+    }
+  }
+}
+
+/**
+ * Resolve path settings from a project file against the file's directory
+ * @param {string} key
+ * @param {*} value parsed value
+ * @param {string} baseDir
+ * @returns {*}
+ */
+function resolveConfigPaths(key, value, baseDir) {
+  if (!CONFIG_SCHEMA[key].path || value === null) return value;
+  return Array.isArray(value)
+    ? value.map((item) => path.resolve(baseDir, item))
+    : path.resolve(baseDir, value);
+}
+
+/**
+ * Read a JSON config file. A missing file is empty, an unparsable one is reported.
+ * @param {string} filePath
+ * @returns {{values: object, errors: string[]}} values as written in the file (not type-converted)
+ */
+function readConfigFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { values: {}, errors: [] };
+    return { values: {}, errors: [`${filePath}: ${error.message}`] };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { values: {}, errors: [`${filePath}: expected a JSON object`] };
+  }
+  return { values: data, errors: [] };
+}
+
+/**
+ * Load the layered configuration: built-in defaults, then the user config file,
+ * then the nearest project .nvm-managerrc (without userOnly settings), then NVM_MANAGER_* environment variables.
+ * CLI flags take precedence over all of these; commands apply them on top.
+ * @param {{cwd?: string}} [options]
+ * @returns {{values: object, sources: object, files: {user: string, project: string|null}, errors: string[]}}
+ *   sources maps each key to 'default', 'user', 'project' or 'env'
+ */
+function loadConfig(options = {}) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  for (const key of CONFIG_KEYS) {
+    values[key] = CONFIG_SCHEMA[key].default;
+    sources[key] = 'default';
+  }
+
+  // origin names the file or environment variable in error messages
+  const apply = (key, rawValue, source, origin, baseDir) => {
+    try {
+      values[key] = resolveConfigPaths(key, parseConfigValue(key, rawValue), baseDir);
+      sources[key] = source;
+    } catch (error) {
+      errors.push(`${origin}: ${error.message}`);
+    }
+  };
+
+  const userPath = getUserConfigPath();
+  const projectPath = findProjectConfig(options.cwd);
+  const layers = [['user', userPath]];
+  if (projectPath) layers.push(['project', projectPath]);
+
+  for (const [source, filePath] of layers) {
+    const file = readConfigFile(filePath);
+    errors.push(...file.errors);
+    for (const [key, rawValue] of Object.entries(file.values)) {
+      if (!CONFIG_SCHEMA[key]) {
+        errors.push(`${filePath}: unknown key '${key}'`);
+        continue;
+      }
+      if (source === 'project' && CONFIG_SCHEMA[key].userOnly) {
+        errors.push(`${filePath}: ${key} can only be set in the user config`);
+        continue;
+      }
+      apply(key, rawValue, source, filePath, path.dirname(filePath));
+    }
+  }
+
+  for (const key of CONFIG_KEYS) {
+    const envValue = process.env[getConfigEnvName(key)];
+    if (envValue !== undefined && envValue !== '') {
+      apply(key, envValue, 'env', getConfigEnvName(key), process.cwd());
+    }
+  }
+
+  return { values, sources, files: { user: userPath, project: projectPath }, errors };
+}
+
+/**
+ * The merged configuration, loaded once. Problems with config files are reported on first use.
+ * @returns {ReturnType<typeof loadConfig>}
+ */
+function getConfig() {
+  if (!loadedConfig) {
+    loadedConfig = loadConfig();
+    loadedConfig.errors.forEach((error) =>
+      console.error(chalk.yellow(`[nvm-manager] Ignoring invalid config: ${error}`))
+    );
+  }
+  return loadedConfig;
+}
+
+/**
+ * Configured value of a setting, used as the default for the matching CLI flag
+ * @param {string} key one of CONFIG_KEYS
+ * @returns {*}
+ */
+function getConfigValue(key) {
+  if (!CONFIG_SCHEMA[key]) {
+    throw new Error(`Unknown config key '${key}'`);
+  }
+  return getConfig().values[key];
+}
+
+/**
+ * A command's setting: the CLI flag when given, otherwise the configured value
+ * @param {*} cliValue parsed flag value; undefined, null and empty lists count as not given
+ * @param {string} key one of CONFIG_KEYS
+ * @returns {*}
+ */
+function resolveOption(cliValue, key) {
+  if (cliValue === undefined || cliValue === null || (Array.isArray(cliValue) && cliValue.length === 0)) {
+    return getConfigValue(key);
+  }
+  return cliValue;
+}
+
+/**
+ * Whether prompts should be answered with yes: --yes was given or prompts are turned off in the config
+ * @param {{yes?: boolean}} options command options
+ * @returns {boolean}
+ */
+function shouldSkipPrompts(options) {
+  return Boolean(options.yes) || !getConfigValue('prompt');
+}
+
+/**
+ * Package rules in effect: built-in rules, then ignorePackages, then the packageRules setting
+ * @returns {object} rules keyed by package name, see package-rules.js
+ */
+function getPackageRules() {
+  return mergePackageRules(getConfigValue('packageRules'), getConfigValue('ignorePackages'));
+}
+
+/**
+ * Write a setting to the user config file or a project .nvm-managerrc
+ * @param {string} key
+ * @param {string|null} value raw value; null removes the setting from the file
+ * @param {string} filePath
+ * @returns {*} the parsed value
+ * @throws {Error} for unknown keys, invalid values or an unreadable file
+ */
+function setConfigValue(key, value, filePath) {
+  const parsed = value === null ? null : parseConfigValue(key, value);
+  const file = readConfigFile(filePath);
+  if (file.errors.length > 0) {
+    throw new Error(file.errors[0]);
+  }
+  const data = { ...file.values };
+  if (parsed === null) {
+    delete data[key];
+  } else {
+    data[key] = parsed;
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`);
+  loadedConfig = null;
+  return parsed;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CONFIG_KEYS,
+  PROJECT_CONFIG_FILE_NAME,
+  getUserConfigPath,
+  findProjectConfig,
+  getConfigEnvName,
+  parseConfigValue,
+  readConfigFile,
+  loadConfig,
+  getConfigValue,
+  resolveOption,
+  shouldSkipPrompts,
+  getPackageRules,
+  setConfigValue,
+};
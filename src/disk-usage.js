@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const execa = require('execa');
+const { getBackend } = require('./backends');
+const {
+  getNodeVersionDir,
+  getGlobalModulesDir,
+  listPackageDirs,
+} = require('./utils');
+
+/** Packages shipped with Node.js itself, counted as part of the runtime */
+const BUNDLED_PACKAGES = ['npm', 'corepack'];
+
+/**
+ * Total size of a directory tree in bytes. Symlinks are not followed.
+ * @param {string} dir
+ * @returns {Promise<number>} 0 if the directory does not exist
+ */
+async function getDirectorySize(dir) {
+  let stats;
+  try {
+    stats = await fs.promises.lstat(dir);
+  } catch {
+    return 0;
+  }
+  if (!stats.isDirectory()) return stats.size;
+
+  let total = 0;
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      total += await getDirectorySize(entryPath);
+    } else {
+      try {
+        total += (await fs.promises.lstat(entryPath)).size;
+      } catch {
+        // File removed while scanning
+      }
+    }
+  }
+  return total;
+}
+
+/**
+ * Human readable byte count, e.g. '1.5 GB'
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Disk usage of one installed Node.js version
+ * @param {string} version
+ * @returns {Promise<{version: string, total: number, runtime: number, globalModules: number, packages: {name: string, size: number}[]}>}
+ *   packages are user-installed globals, largest first; runtime includes bundled npm and corepack
+ */
+async function getVersionUsage(version) {
+  const versionDir = getNodeVersionDir(version);
+  const total = versionDir ? await getDirectorySize(versionDir) : 0;
+
+  const packages = [];
+  const modulesDir = getGlobalModulesDir(version);
+  if (modulesDir && fs.existsSync(modulesDir)) {
+    for (const packageDir of await listPackageDirs(modulesDir)) {
+      const name = path.relative(modulesDir, packageDir).split(path.sep).join('/');
+      if (BUNDLED_PACKAGES.includes(name)) continue;
+      packages.push({ name, size: await getDirectorySize(packageDir) });
+    }
+  }
+  packages.sort((a, b) => b.size - a.size);
+
+  const globalModules = packages.reduce((sum, pkg) => sum + pkg.size, 0);
+  return {
+    version,
+    total,
+    runtime: total - globalModules,
+    globalModules,
+    packages,
+  };
+}
+
+/**
+ * The version manager's download cache directory ($NVM_DIR/.cache for nvm).
+ * nvm-windows, fnm and nodenv keep no cache.
+ * @returns {string|null}
+ */
+function getDownloadCacheDir() {
+  return getBackend().getCacheDir();
+}
+
+/**
+ * npm's cache directory as reported by `npm config get cache`
+ * @returns {Promise<string|null>}
+ */
+async function getNpmCacheDir() {
+  try {
+    const { stdout } = await execa('npm', ['config', 'get', 'cache']);
+    return stdout.trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Installed versions whose directory has no node executable, left behind by interrupted installs
+ * @param {string[]} installedVersions
+ * @returns {string[]}
+ */
+function findPartialInstalls(installedVersions) {
+  const backend = getBackend();
+  return installedVersions.filter((version) => {
+    const executable = backend.getNodeExecutable(version);
+    return executable && !fs.existsSync(executable);
+  });
+}
+
+module.exports = {
+  getDirectorySize,
+  formatBytes,
+  getVersionUsage,
+  getDownloadCacheDir,
+  getNpmCacheDir,
+  findPartialInstalls,
+};
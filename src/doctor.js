@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getNvmDir,
+  getInstalledNodeVersions,
+  getDefaultNodeVersion,
+  resolveNvmAlias,
+} = require('./utils');
+const { getBackend, detectBackends } = require('./backends');
+const { findNodeOnPath, isInside } = require('./backends/common');
+const { findPartialInstalls } = require('./disk-usage');
+const { loadReleaseIndex, getMirrorUrl } = require('./release-index');
+
+const isWindows = () => process.platform === 'win32';
+
+const pass = (message) => ({ status: 'pass', message });
+const warn = (message, fix) => ({ status: 'warn', message, fix });
+const fail = (message, fix) => ({ status: 'fail', message, fix });
+
+function checkBackend() {
+  const backend = getBackend();
+  const others = detectBackends().filter((candidate) => candidate !== backend);
+  const message = `Using ${backend.label} (${backend.getRootDir()})`;
+  if (others.length > 0) {
+    return warn(
+      `${message}; also found ${others.map((other) => other.label).join(', ')}`,
+      'Select a version manager with --backend or NVM_MANAGER_BACKEND'
+    );
+  }
+  return pass(message);
+}
+
+function checkNvmHome() {
+  if (!process.env.NVM_HOME) {
+    return fail(
+      'NVM_HOME is not set',
+      'Reinstall nvm-windows or set NVM_HOME to its install directory (e.g. %APPDATA%\\nvm)'
+    );
+  }
+  return pass(`NVM_HOME=${process.env.NVM_HOME}`);
+}
+
+function checkNvmDir() {
+  const nvmDir = getNvmDir();
+  if (!fs.existsSync(nvmDir)) {
+    return fail(
+      `nvm directory ${nvmDir} does not exist`,
+      isWindows() ? 'Set NVM_HOME to your nvm-windows directory' : 'Install nvm or set NVM_DIR'
+    );
+  }
+  if (!isWindows() && !fs.existsSync(path.join(nvmDir, 'nvm.sh'))) {
+    return fail(
+      `${nvmDir} has no nvm.sh`,
+      'Point NVM_DIR at the directory containing nvm.sh, or reinstall nvm'
+    );
+  }
+  return pass(`nvm found in ${nvmDir}`);
+}
+
+function checkNpmrcPrefix() {
+  const npmrc = path.join(os.homedir(), '.npmrc');
+  let contents = '';
+  try {
+    contents = fs.readFileSync(npmrc, 'utf-8');
+  } catch {
+    return pass('No ~/.npmrc');
+  }
+  const line = contents
+    .split('\n')
+    .map((l) => l.trim())
+    .find((l) => /^(prefix|globalconfig)\s*=/.test(l));
+  if (line) {
+    return fail(
+      `${npmrc} contains "${line}", which breaks nvm's per-version global installs`,
+      `Remove the line from ${npmrc}, or run "nvm use --delete-prefix <version>"`
+    );
+  }
+  return pass(`${npmrc} has no prefix setting`);
+}
+
+function checkNpmConfigEnv() {
+  const variable = ['NPM_CONFIG_PREFIX', 'npm_config_prefix'].find((name) => process.env[name]);
+  if (variable) {
+    return fail(
+      `${variable} is set, which is incompatible with nvm`,
+      `Unset ${variable} in your shell profile`
+    );
+  }
+  return pass('No npm prefix override in the environment');
+}
+
+function checkPathOrder() {
+  const nodeDir = findNodeOnPath();
+  if (!nodeDir) {
+    return warn('No node executable found on PATH', 'Run "nvm use <version>" or set a default alias');
+  }
+  const backend = getBackend();
+  const managedRoots = [backend.getRootDir()];
+  if (backend.name === 'nvm' && process.env.NVM_SYMLINK) managedRoots.push(process.env.NVM_SYMLINK);
+  // fnm puts per-shell symlinks outside its directory
+  if (backend.name === 'fnm' && process.env.FNM_MULTISHELL_PATH) managedRoots.push(process.env.FNM_MULTISHELL_PATH);
+  if (managedRoots.some((root) => isInside(nodeDir, root))) {
+    return pass(`node on PATH comes from ${backend.label} (${nodeDir})`);
+  }
+  return warn(
+    `node on PATH comes from ${nodeDir}, which shadows ${backend.label}'s versions`,
+    `Move the ${backend.label} initialisation after other PATH changes in your shell profile, or uninstall the system Node.js`
+  );
+}
+
+function checkDefaultAlias(installedVersions) {
+  const aliasFile = path.join(getNvmDir(), 'alias', 'default');
+  if (!fs.existsSync(aliasFile)) {
+    return warn('No default alias set', 'Run "nvm alias default <version>"');
+  }
+  const target = fs.readFileSync(aliasFile, 'utf-8').trim();
+  const resolved = resolveNvmAlias('default', installedVersions);
+  if (!resolved) {
+    return fail(
+      `default alias points at "${target}", which is not installed`,
+      `Run "nvm install ${target}" or "nvm alias default <installed version>"`
+    );
+  }
+  return pass(`default alias "${target}" resolves to ${resolved}`);
+}
+
+function checkDefaultVersion(installedVersions) {
+  const version = getDefaultNodeVersion(installedVersions);
+  if (!version) {
+    return warn(`No installed default version set for ${getBackend().label}`, 'Set a default Node.js version with your version manager');
+  }
+  return pass(`Default version is ${version}`);
+}
+
+function checkInstalledVersions(installedVersions) {
+  if (installedVersions.length === 0) {
+    return warn('No Node.js versions installed', 'Run "nvm-manager install-lts"');
+  }
+  return pass(`${installedVersions.length} Node.js version(s) installed`);
+}
+
+function checkPartialInstalls(installedVersions) {
+  const partial = findPartialInstalls(installedVersions);
+  if (partial.length > 0) {
+    return warn(
+      `Partial installs without a node executable: ${partial.join(', ')}`,
+      'Run "nvm-manager usage --prune" and reinstall them if needed'
+    );
+  }
+  return pass('No partial installs');
+}
+
+async function checkReleaseIndex() {
+  try {
+    const releases = await loadReleaseIndex();
+    return pass(`Release index loaded (${releases.length} releases)`);
+  } catch (error) {
+    return warn(
+      error.message,
+      `Check network access to ${getMirrorUrl()}, or set NVM_MANAGER_RELEASE_INDEX to a local index.json`
+    );
+  }
+}
+
+/**
+ * Run every environment check
+ * @returns {Promise<{name: string, status: 'pass'|'warn'|'fail', message: string, fix?: string}[]>}
+ */
+async function runDoctorChecks() {
+  const checks = [];
+  const run = async (name, check) => {
+    try {
+      checks.push({ name, ...(await check()) });
+    } catch (error) {
+      checks.push({ name, ...fail(`Check crashed: ${error.message}`) });
+    }
+  };
+
+  const isNvm = getBackend().name === 'nvm';
+  await run('backend', checkBackend);
+  if (isNvm && isWindows()) {
+    await run('nvm-home', checkNvmHome);
+  }
+  if (isNvm) {
+    await run('nvm-dir', checkNvmDir);
+  }
+  await run('npmrc-prefix', checkNpmrcPrefix);
+  await run('npm-config-env', checkNpmConfigEnv);
+  await run('path-order', checkPathOrder);
+
+  const installedVersions = await getInstalledNodeVersions();
+  await run('installed-versions', () => checkInstalledVersions(installedVersions));
+  if (isNvm && !isWindows()) {
+    await run('default-alias', () => checkDefaultAlias(installedVersions));
+  } else if (!isNvm) {
+    await run('default-version', () => checkDefaultVersion(installedVersions));
+  }
+  await run('partial-installs', () => checkPartialInstalls(installedVersions));
+  await run('release-index', checkReleaseIndex);
+
+  return checks;
+}
+
+module.exports = {
+  runDoctorChecks,
+};
@@ -0,0 +1,116 @@
+const semver = require('semver');
+const { getPackageReinstallSpec, mapWithConcurrency } = require('./utils');
+const { fetchPackument } = require('./registry');
+const { splitPackageSpec } = require('./shell');
+
+const ENGINES_CHECK_CONCURRENCY = 4;
+
+/**
+ * Whether a package version's engines.node accepts a Node.js version.
+ * Versions without engines.node, or with a range semver can't parse, are assumed to work.
+ * @param {object} [manifest] version entry from the packument
+ * @param {string} nodeVersion
+ * @returns {boolean}
+ */
+function supportsNode(manifest, nodeVersion) {
+  const range = manifest && manifest.engines && manifest.engines.node;
+  if (!range || !semver.validRange(range)) return true;
+  return semver.satisfies(nodeVersion, range, { includePrerelease: true });
+}
+
+/**
+ * Pick the release of a package to install on a Node.js version: the release the
+ * requested range resolves to if its engines.node allows the target, otherwise the
+ * newest release within the range that does.
+ * @param {object} packument registry metadata with `versions` and `dist-tags`
+ * @param {string|null} range requested range, null for the latest release
+ * @param {string} nodeVersion target Node.js version
+ * @returns {{status: 'compatible'|'downgraded'|'incompatible'|'unknown', wanted: string|null, version: string|null,
+ *   engines: string|null, newestCompatible?: string|null}}
+ *   wanted is the release the range resolves to, version the release to install (null when incompatible)
+ */
+function findCompatibleVersion(packument, range, nodeVersion) {
+  const manifests = packument.versions || {};
+  const versions = Object.keys(manifests)
+    .filter((version) => semver.valid(version) && !semver.prerelease(version))
+    .sort(semver.rcompare);
+  const latest = (packument['dist-tags'] || {}).latest;
+  const wanted = range ? semver.maxSatisfying(versions, range) : latest;
+  if (!wanted || !manifests[wanted]) {
+    return { status: 'unknown', wanted: null, version: null, engines: null };
+  }
+
+  const engines = (manifests[wanted].engines || {}).node || null;
+  if (supportsNode(manifests[wanted], nodeVersion)) {
+    return { status: 'compatible', wanted, version: wanted, engines };
+  }
+
+  const inRange = (version) => (range ? semver.satisfies(version, range) : semver.lte(version, wanted));
+  const compatible = versions.filter((version) => supportsNode(manifests[version], nodeVersion));
+  const version = compatible.find(inRange) || null;
+  if (version) {
+    return { status: 'downgraded', wanted, version, engines };
+  }
+  return { status: 'incompatible', wanted, version: null, engines, newestCompatible: compatible[0] || null };
+}
+
+/**
+ * Check the engines.node range of every registry package about to be installed on a Node.js version.
+ * Packages whose requested release doesn't support the target are moved to the newest release
+ * in the requested range that does, or dropped when there is none. Git, tarball, local and linked
+ * packages, and packages whose metadata can't be fetched, are kept unchanged.
+ * @param {{name: string, version: string|null, source?: string, range?: string}[]} packages
+ * @param {string} nodeVersion target Node.js version
+ * @param {string} [strategy='latest'] install strategy, see INSTALL_STRATEGIES
+ * @returns {Promise<{packages: object[], results: {name: string, status: string, wanted: string|null,
+ *   version: string|null, engines: string|null, newestCompatible?: string|null, error?: string}[]}>}
+ *   packages to install, with `range` set to the chosen release of downgraded packages
+ */
+async function checkPackagesEngines(packages, nodeVersion, strategy = 'latest') {
+  const results = await mapWithConcurrency(packages, ENGINES_CHECK_CONCURRENCY, async (pkg) => {
+    if ((pkg.source || 'registry') !== 'registry') {
+      return { name: pkg.name, status: 'unknown', wanted: null, version: null, engines: null };
+    }
+    const { range } = splitPackageSpec(getPackageReinstallSpec(pkg, strategy));
+    try {
+      return { name: pkg.name, ...findCompatibleVersion(await fetchPackument(pkg.name), range, nodeVersion) };
+    } catch (error) {
+      return { name: pkg.name, status: 'unknown', wanted: null, version: null, engines: null, error: error.message };
+    }
+  });
+
+  const checked = [];
+  packages.forEach((pkg, index) => {
+    const result = results[index];
+    if (result.status === 'incompatible') return;
+    checked.push(result.status === 'downgraded' ? { ...pkg, range: result.version } : pkg);
+  });
+  return { packages: checked, results };
+}
+
+/**
+ * Explain an engines check result that changed what gets installed
+ * @param {{name: string, status: string, wanted: string|null, version: string|null, engines: string|null, newestCompatible?: string|null}} result
+ * @param {string} nodeVersion
+ * @returns {string|null} null for compatible and unknown results
+ */
+function formatEnginesResult(result, nodeVersion) {
+  const needs = `${result.name}@${result.wanted} requires Node.js ${result.engines}`;
+  if (result.status === 'downgraded') {
+    return `${needs}, installing ${result.name}@${result.version} instead (newest release supporting Node.js ${nodeVersion})`;
+  }
+  if (result.status === 'incompatible') {
+    const hint = result.newestCompatible
+      ? `; ${result.name}@${result.newestCompatible} is the newest release that supports it`
+      : '; no release supports it';
+    return `Skipping ${result.name}: ${needs}, not ${nodeVersion}${hint}`;
+  }
+  return null;
+}
+
+module.exports = {
+  supportsNode,
+  findCompatibleVersion,
+  checkPackagesEngines,
+  formatEnginesResult,
+};
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE_NAME = 'history.jsonl';
+
+/** CLI command the current operations belong to, set once the command is parsed */
+let currentCommand = null;
+
+/**
+ * Location of the operation history, one JSON entry per line
+ * @returns {string}
+ */
+function getHistoryPath() {
+  // Required lazily: utils records history, so it can't be loaded at the top
+  const { getDataDir } = require('./utils');
+  return path.join(getDataDir(), HISTORY_FILE_NAME);
+}
+
+/**
+ * Name the CLI command that later history entries are recorded under
+ * @param {string|null} name e.g. 'migrate'
+ */
+function setHistoryCommand(name) {
+  currentCommand = name;
+}
+
+/**
+ * Append an operation to the history. Never throws: history must not break the operation itself.
+ * @param {object} operation
+ * @param {'node-install'|'node-uninstall'|'package-install'|'package-uninstall'|'package-link'|'package-rebuild'} operation.action
+ * @param {string|null} [operation.node] Node.js version the operation targeted
+ * @param {string} [operation.package] package spec, e.g. 'typescript@5.4.5'
+ * @param {boolean} operation.success
+ * @param {string} [operation.error] error message when the operation failed
+ */
+function recordOperation({ action, node = null, package: packageSpec, success, error }) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    command: currentCommand,
+    action,
+    node,
+    ...(packageSpec ? { package: packageSpec } : {}),
+    outcome: success ? 'success' : 'failure',
+    ...(error ? { error } : {}),
+  };
+  try {
+    const historyPath = getHistoryPath();
+    fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+    fs.appendFileSync(historyPath, `${JSON.stringify(entry)}\n`);
+  } catch {
+    // History is best effort
+  }
+}
+
+/**
+ * Parse a --since value: an ISO date or a duration back from now such as '30m', '12h', '7d' or '2w'
+ * @param {string} value
+ * @param {number} [now=Date.now()]
+ * @returns {Date|null} null when the value can't be parsed
+ */
+function parseSince(value, now = Date.now()) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(value.trim());
+  if (match) {
+    const unitMs = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[match[2].toLowerCase()];
+    return new Date(now - Number(match[1]) * unitMs);
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read history entries, oldest first. Corrupt lines are skipped.
+ * @param {object} [filters]
+ * @param {Date} [filters.since] only entries at or after this time
+ * @param {string} [filters.node] only entries for this Node.js version
+ * @param {boolean} [filters.failed] only failed operations
+ * @returns {object[]}
+ */
+function readHistory(filters = {}) {
+  let lines;
+  try {
+    lines = fs.readFileSync(getHistoryPath(), 'utf-8').split('\n');
+  } catch {
+    return [];
+  }
+  const node = filters.node ? filters.node.replace(/^v/, '') : null;
+  return lines
+    .filter((line) => line.trim())
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .filter((entry) => !filters.since || new Date(entry.timestamp) >= filters.since)
+    .filter((entry) => !node || entry.node === node || (entry.node || '').startsWith(`${node}.`))
+    .filter((entry) => !filters.failed || entry.outcome === 'failure');
+}
+
+module.exports = {
+  getHistoryPath,
+  setHistoryCommand,
+  recordOperation,
+  parseSince,
+  readHistory,
+};
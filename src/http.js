@@ -0,0 +1,69 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * GET a URL and parse the response body as JSON. Follows redirects, dropping the
+ * authorization header when a redirect leaves the original host, and accepts gzip.
+ * @param {string} url
+ * @param {{headers?: Object<string, string>, timeout?: number}} [options]
+ * @returns {Promise<any>}
+ * @throws {Error} with `statusCode` set for non-2xx responses
+ */
+function getJson(url, options = {}, redirects = 0) {
+  const { headers = {}, timeout = DEFAULT_TIMEOUT_MS } = options;
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(
+      url,
+      { headers: { accept: 'application/json', 'accept-encoding': 'gzip', ...headers }, timeout },
+      (response) => {
+        const { statusCode, headers: responseHeaders } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && responseHeaders.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new Error(`Too many redirects fetching ${url}`));
+            return;
+          }
+          const next = new URL(responseHeaders.location, url);
+          const nextHeaders = { ...headers };
+          if (next.host !== new URL(url).host) delete nextHeaders.authorization;
+          resolve(getJson(next.toString(), { ...options, headers: nextHeaders }, redirects + 1));
+          return;
+        }
+
+        const stream = responseHeaders['content-encoding'] === 'gzip' ? response.pipe(zlib.createGunzip()) : response;
+        let body = '';
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => {
+          body += chunk;
+        });
+        stream.on('error', reject);
+        stream.on('end', () => {
+          if (statusCode < 200 || statusCode >= 300) {
+            const error = new Error(`GET ${url} failed with HTTP ${statusCode}`);
+            error.statusCode = statusCode;
+            reject(error);
+            return;
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+          }
+        });
+      }
+    );
+    request.on('timeout', () => request.destroy(new Error(`Timed out fetching ${url}`)));
+    request.on('error', reject);
+  });
+}
+
+module.exports = {
+  getJson,
+};
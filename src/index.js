@@ -7,9 +7,27 @@ const cleanupCommand = require('./commands/cleanup');
 const installLtsCommand = require("./commands/install-lts");
 const fixFailedCommand = require("./commands/fix-failed");
 const migrateCommand = require("./commands/migrate");
+const exportCommand = require("./commands/export");
+const importCommand = require("./commands/import");
+const scanProjectsCommand = require("./commands/scan-projects");
+const usageCommand = require("./commands/usage");
+const auditVersionsCommand = require("./commands/audit-versions");
+const doctorCommand = require("./commands/doctor");
+const historyCommand = require("./commands/history");
+const diffCommand = require("./commands/diff");
+const syncCommand = require("./commands/sync");
+const outdatedCommand = require("./commands/outdated");
+const updateCommand = require("./commands/update");
+const configCommand = require("./commands/config");
+const { BACKEND_NAMES, setBackend } = require("./backends");
+const { setHistoryCommand } = require("./history");
+const { getConfigValue } = require("./config");
 
 const program = new Command();
 
+const BACKEND_OPTION_FLAGS = "-b, --backend <name>";
+const BACKEND_OPTION_DESCRIPTION = `Version manager to use: ${BACKEND_NAMES.join(", ")} (default: auto-detect)`;
+
 program
   .name("nvm-manager")
   .description(
@@ -17,7 +35,26 @@ program
       "A modern CLI tool to manage Node.js versions and global packages using nvm"
     )
   )
-  .version("1.0.0", "-v, --version", "display version number");
+  .version("1.0.0", "-v, --version", "display version number")
+  .option(BACKEND_OPTION_FLAGS, BACKEND_OPTION_DESCRIPTION)
+  // Options after the command name belong to the command, so `history --version 20` filters
+  // instead of printing nvm-manager's version
+  .enablePositionalOptions()
+  .hook("preAction", (thisCommand, actionCommand) => {
+    setHistoryCommand(actionCommand.name());
+    // The config command reports config problems itself
+    const backend =
+      actionCommand.opts().backend ||
+      thisCommand.opts().backend ||
+      (actionCommand.name() === "config" ? null : getConfigValue("backend"));
+    if (backend) {
+      try {
+        setBackend(backend);
+      } catch (error) {
+        thisCommand.error(error.message);
+      }
+    }
+  });
 
 // Add commands
 program
@@ -30,32 +67,203 @@ program
     "-v, --versions <versions>",
     'Comma-separated list of Node versions to list. Use "all" for all installed versions (default).'
   )
-  .action(() => listAllCommand(program));
+  .option("--refresh", "Ignore cached results and rescan every version")
+  .option(
+    "-c, --concurrency <number>",
+    "Number of Node versions to scan in parallel (default: 4)"
+  )
+  .action((options, command) => listAllCommand(command));
 
 program
   .command("cleanup")
-  .description("Interactively uninstall all Node.js versions except latest LTS")
-  .action(cleanupCommand);
+  .description(
+    "Interactively uninstall Node.js versions not kept by retention rules (latest LTS is always kept)"
+  )
+  .option("-y, --yes", "Uninstall every candidate version without prompting")
+  .option("-k, --keep <versions>", "Comma-separated Node versions to preserve")
+  .option("-o, --only <versions>", "Comma-separated Node versions to consider for removal")
+  .option("--keep-lts-latest", "Keep the newest installed patch of each LTS major")
+  .option("--keep-recent <n>", "Keep the N most recently installed versions")
+  .option(
+    "--keep-range <range>",
+    'Keep versions matching a semver range, e.g. "^18" (repeatable)',
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option("--no-keep-active", "Allow removing the current and default versions")
+  .option(
+    "--projects <dirs>",
+    "Comma-separated workspace directories; keep versions their projects need"
+  )
+  .option("--sort-by-size", "Offer the versions that reclaim the most space first")
+  .action((options) => cleanupCommand(options));
 
 program
   .command("install-lts")
   .description("Install latest Node.js LTS and restore global packages")
-  .action(installLtsCommand);
+  .option("-y, --yes", "Install without prompting")
+  .option(
+    "-p, --packages <list>",
+    "Comma-separated packages to install instead of the saved package list"
+  )
+  .action((options) => installLtsCommand(options));
 
 program
   .command('fix-failed')
   .alias('fix')
   .description('Fix phantom Node.js versions that appear in nvm list but cannot be uninstalled')
-  .action(fixFailedCommand);
+  .option('-y, --yes', 'Delete leftover version folders without prompting')
+  .option('-k, --keep <versions>', 'Comma-separated Node versions to preserve')
+  .option('-o, --only <versions>', 'Comma-separated Node versions to fix')
+  .option(
+    '--projects <dirs>',
+    'Comma-separated workspace directories; keep versions their projects need'
+  )
+  .action((options) => fixFailedCommand(options));
 
 
 program
   .command('migrate')
   .description('Migrate global packages to selected Node version')
-  .option('-t, --to <version>', 'Node version to migrate to')
+  .option(
+    '-t, --to <version>',
+    'Node version to migrate to (exact version, "22", "lts/iron" or "lts/*")'
+  )
   .option('-f, --from <version>', 'Node version to migrate from')
+  .option(
+    '--from-backend <name>',
+    'Read packages from another version manager, e.g. nvm when migrating to fnm'
+  )
   .option('-y, --yes', 'Install all packages without prompting')
-  .action(()=>migrateCommand(program));
+  .option(
+    '--atomic',
+    'Roll the target version back to its previous state if any package fails'
+  )
+  .option(
+    '-s, --strategy <strategy>',
+    'Version strategy for migrated packages: exact, minor, major (default) or latest'
+  )
+  .action((options, command) => migrateCommand(command));
+
+program
+  .command("export [file]")
+  .description(
+    "Save a JSON snapshot of global packages for every installed Node.js version"
+  )
+  .action((file) => exportCommand(file));
+
+program
+  .command("import <file>")
+  .description(
+    "Install Node.js versions and global packages recorded in a snapshot"
+  )
+  .option("-y, --yes", "Restore without prompting")
+  .action((file, options) => importCommand(file, options));
+
+program
+  .command("scan-projects [dir...]")
+  .description(
+    "Find Node.js versions requested by .nvmrc, .node-version, engines.node and volta.node"
+  )
+  .option("--json", "Output data in JSON format instead of a table")
+  .option("-d, --depth <n>", "Maximum directory depth to search (default: 4)")
+  .action((dirs, options) => scanProjectsCommand(dirs, options));
+
+program
+  .command("usage")
+  .description(
+    "Show disk usage of installed Node.js versions, global packages and caches"
+  )
+  .option("--json", "Output data in JSON format instead of a table")
+  .option("--top <n>", "Number of largest packages to show per version (default: 3)")
+  .option("--prune", "Remove nvm's download cache and partial installs")
+  .option("-y, --yes", "Prune without prompting")
+  .action((options) => usageCommand(options));
+
+program
+  .command("audit-versions")
+  .description(
+    "Check installed Node.js versions for end-of-life status and missing security releases"
+  )
+  .option("--json", "Output data in JSON format instead of a table")
+  .action((options) => auditVersionsCommand(options));
+
+program
+  .command("doctor")
+  .description("Diagnose common nvm environment problems and suggest fixes")
+  .option("--json", "Output data in JSON format")
+  .action((options) => doctorCommand(options));
+
+program
+  .command("diff <a> <b>")
+  .description(
+    "Compare global packages between two Node.js versions or snapshot manifest files"
+  )
+  .option("--json", "Output data in JSON format")
+  .action((a, b, options) => diffCommand(a, b, options));
+
+program
+  .command("sync")
+  .description(
+    "Install missing global packages so every Node.js version has the same package set"
+  )
+  .option("--from <source>", "Node version or manifest file to copy the package set from (default: union of all versions)")
+  .option("-p, --packages <list>", "Comma-separated packages to use as the package set instead")
+  .option("--versions <list>", 'Comma-separated Node versions to sync, or "all" (default)')
+  .option("-s, --strategy <strategy>", "Version strategy for installed packages: exact, minor, major or latest")
+  .option("--dry-run", "Show what would be installed without installing")
+  .option("-y, --yes", "Install without prompting")
+  .option("--json", "Output results in JSON format")
+  .action((options) => syncCommand(options));
+
+program
+  .command("outdated")
+  .description(
+    "Show outdated global packages as a package × Node.js version matrix"
+  )
+  .option("--versions <list>", 'Comma-separated Node versions to check, or "all" (default)')
+  .option("--all", "Include packages that are up to date")
+  .option("--refresh", "Ignore cached registry metadata")
+  .option("--json", "Output data in JSON format")
+  .action((options) => outdatedCommand(options));
+
+program
+  .command("update [packages...]")
+  .description(
+    "Update global packages on every Node.js version (within their major by default)"
+  )
+  .option("--versions <list>", 'Comma-separated Node versions to update, or "all" (default)')
+  .option("--major", "Update to the latest release, across major versions")
+  .option("--patch-only", "Only install patch releases")
+  .option("--dry-run", "Show available updates without installing")
+  .option("-y, --yes", "Update every outdated package without prompting")
+  .action((packages, options) => updateCommand(packages, options));
+
+program
+  .command("history")
+  .description(
+    "Show Node.js and global package installs and uninstalls made by nvm-manager"
+  )
+  .option("--since <when>", "Only show operations since a date or duration, e.g. 2024-05-01 or 7d")
+  .option("--version <version>", "Only show operations on a Node.js version or major, e.g. 20")
+  .option("-n, --node <version>", "Alias for --version")
+  .option("--failed", "Only show failed operations")
+  .option("--json", "Output data in JSON format instead of a table")
+  .action((options) => historyCommand(options));
+
+program
+  .command("config <action> [key] [value]")
+  .description(
+    "Show or change settings: config list, config get <key>, config set <key> <value>, config unset <key>, config edit"
+  )
+  .option("--project", "Write to the nearest .nvm-managerrc instead of the user config")
+  .option("--json", "Output data in JSON format")
+  .action((action, key, value, options) => configCommand(action, key, value, options));
+
+// --backend also works after the command name, e.g. `migrate --backend fnm`
+program.commands.forEach((command) =>
+  command.option(BACKEND_OPTION_FLAGS, BACKEND_OPTION_DESCRIPTION)
+);
 
 // Show help after error automatically
 program.showHelpAfterError();
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, matchInstalledVersion, resolveNodeVersion, getPackageSource } = require('./utils');
+const { getConfigValue } = require('./config');
+const { scanGlobalPackages } = require('./scan');
+
+/**
+ * Current schema version of the JSON snapshot manifest.
+ * Bump when the shape of the manifest changes and teach `readManifest` to upgrade older files.
+ */
+const MANIFEST_SCHEMA_VERSION = 1;
+
+const MANIFEST_FILE_NAME = 'global-packages.json';
+
+/** Plain-text package list written by nvm-manager <= 1.0.3 */
+const LEGACY_PACKAGE_LIST_FILE = 'nvm-global-packages.txt';
+
+/**
+ * Default location of the snapshot manifest: the configured `manifest` path,
+ * otherwise the per-user data directory
+ * @returns {string}
+ */
+function getDefaultManifestPath() {
+  return getConfigValue('manifest') || path.join(getDataDir(), MANIFEST_FILE_NAME);
+}
+
+/**
+ * Locate a manifest to read when none is given explicitly.
+ * Prefers the JSON manifest, then falls back to a legacy text list in the current directory.
+ * @returns {string|null} path to the manifest or null if none exists
+ */
+function findManifest() {
+  const defaultPath = getDefaultManifestPath();
+  if (fs.existsSync(defaultPath)) return defaultPath;
+  if (fs.existsSync(LEGACY_PACKAGE_LIST_FILE)) return LEGACY_PACKAGE_LIST_FILE;
+  return null;
+}
+
+/**
+ * Build a manifest object from per-version scan results
+ * @param {{version: string, packages: {name: string, version: string|null, source?: string, resolved?: string|null,
+ *   native?: {abi: string|null, addons: string[]}|null}[]}[]} results
+ * @returns {object} manifest
+ */
+function createManifest(results) {
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    platform: process.platform,
+    versions: results.map(({ version, packages }) => ({
+      node: version,
+      packages: packages.map((pkg) => ({
+        name: pkg.name,
+        version: pkg.version || null,
+        source: pkg.source || 'registry',
+        // git URL, tarball, local path or link target of non-registry packages
+        ...(pkg.resolved ? { resolved: pkg.resolved } : {}),
+        // compiled addons of packages with native bindings and the ABI they were built for
+        ...(pkg.native ? { native: pkg.native } : {}),
+      })),
+    })),
+  };
+}
+
+/**
+ * Write a manifest as JSON, creating parent directories as needed
+ * @param {object} manifest
+ * @param {string} [filePath] defaults to the well-known manifest location
+ * @returns {string} path written
+ */
+function writeManifest(manifest, filePath = getDefaultManifestPath()) {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(manifest, null, 2) + '\n');
+  return filePath;
+}
+
+/**
+ * Convert the legacy "Node Version:" text format into a manifest.
+ * Package versions were never recorded in that format, so they are left null.
+ * @param {string} contents
+ * @returns {object} manifest
+ */
+function parseLegacyPackageList(contents) {
+  const versions = [];
+  let current = null;
+
+  for (const line of contents.split('\n')) {
+    const header = line.match(/^Node Version:\s*v?(\S+)/);
+    if (header) {
+      current = { node: header[1], packages: [] };
+      versions.push(current);
+      continue;
+    }
+
+    // Skip empty lines and "no packages" messages
+    if (!line.trim() || line.includes('No global packages installed')) {
+      continue;
+    }
+
+    if (!current) {
+      current = { node: null, packages: [] };
+      versions.push(current);
+    }
+
+    line
+      .split(',')
+      .map((pkg) => pkg.trim())
+      .filter((pkg) => pkg && pkg !== 'npm')
+      .forEach((name) => current.packages.push({ name, version: null, source: 'registry' }));
+  }
+
+  return {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
+    createdAt: null,
+    platform: null,
+    versions,
+  };
+}
+
+/**
+ * Read a manifest from disk. Accepts both the JSON manifest and the legacy text list.
+ * @param {string} filePath
+ * @returns {object} manifest
+ * @throws {Error} when the file is missing, malformed or from a newer schema
+ */
+function readManifest(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest file '${filePath}' not found`);
+  }
+
+  const contents = fs.readFileSync(filePath, 'utf-8');
+  if (!contents.trim().startsWith('{')) {
+    return parseLegacyPackageList(contents);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Manifest file '${filePath}' is not valid JSON: ${error.message}`);
+  }
+
+  if (typeof manifest.schemaVersion !== 'number' || !Array.isArray(manifest.versions)) {
+    throw new Error(`Manifest file '${filePath}' is missing schemaVersion or versions`);
+  }
+  if (manifest.schemaVersion > MANIFEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Manifest file '${filePath}' uses schema version ${manifest.schemaVersion}, ` +
+        `but this nvm-manager only understands up to ${MANIFEST_SCHEMA_VERSION}. Please upgrade nvm-manager.`
+    );
+  }
+
+  // Packages from registries other than npmjs may have been recorded as tarballs
+  manifest.versions.forEach((entry) => {
+    entry.packages = entry.packages.map((pkg) => {
+      if (pkg.source !== 'tarball' || getPackageSource(pkg.resolved) !== 'registry') return pkg;
+      const { resolved, ...registryPkg } = pkg;
+      return { ...registryPkg, source: 'registry' };
+    });
+  });
+
+  return manifest;
+}
+
+/**
+ * Unique packages across every Node version in a manifest.
+ * The first entry that records a version wins.
+ * @param {object} manifest
+ * @returns {{name: string, version: string|null, source: string, resolved?: string}[]} sorted by name
+ */
+function getManifestPackages(manifest) {
+  const packages = new Map();
+  for (const entry of manifest.versions) {
+    for (const pkg of entry.packages) {
+      const existing = packages.get(pkg.name);
+      if (!existing || (!existing.version && pkg.version)) {
+        packages.set(pkg.name, pkg);
+      }
+    }
+  }
+  return Array.from(packages.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Load a package set from a manifest file, or from the global packages of an installed
+ * Node.js version (exact, a major or range matched against installed versions, or an alias)
+ * @param {string} spec file path or version
+ * @param {string[]} installedVersions
+ * @returns {Promise<{label: string, kind: 'manifest'|'version', packages: object[]}>}
+ *   label is the file name or the exact version
+ * @throws {Error} when the file can't be read or the version is not installed
+ */
+async function loadPackageSet(spec, installedVersions) {
+  if (fs.existsSync(spec) && fs.statSync(spec).isFile()) {
+    const packages = getManifestPackages(readManifest(spec)).filter((pkg) => pkg.name !== 'npm');
+    return { label: path.basename(spec), kind: 'manifest', packages };
+  }
+
+  const version =
+    matchInstalledVersion(spec, installedVersions) || (await resolveNodeVersion(spec, installedVersions));
+  if (!version || !installedVersions.includes(version)) {
+    throw new Error(`'${spec}' is neither a manifest file nor an installed Node.js version`);
+  }
+  const [{ packages, error }] = await scanGlobalPackages([version]);
+  if (error) {
+    throw new Error(`could not read global packages of Node.js ${version}: ${error}`);
+  }
+  return { label: version, kind: 'version', packages };
+}
+
+module.exports = {
+  MANIFEST_SCHEMA_VERSION,
+  LEGACY_PACKAGE_LIST_FILE,
+  getDefaultManifestPath,
+  findManifest,
+  createManifest,
+  writeManifest,
+  parseLegacyPackageList,
+  readManifest,
+  getManifestPackages,
+  loadPackageSet,
+};
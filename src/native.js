@@ -0,0 +1,209 @@
+const path = require('path');
+const {
+  getGlobalModulesDir,
+  readGlobalPackages,
+  findNativeAddons,
+  getNodeAbi,
+  runInNodeVersion,
+  assertValidPackageSpec,
+} = require('./utils');
+const { recordOperation } = require('./history');
+const { loadReleaseIndex, findRelease } = require('./release-index');
+
+/**
+ * ABI of a Node.js version: from its installed headers, or the release index when they are missing
+ * @param {string} version
+ * @returns {Promise<string|null>}
+ */
+async function resolveNodeAbi(version) {
+  const abi = getNodeAbi(version);
+  if (abi) return abi;
+  try {
+    const release = findRelease(await loadReleaseIndex(), version);
+    return release ? release.modules : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads a native module the way its users do: through its own entry point, which picks the
+ * addon variant for this platform, libc and ABI (or a JS fallback). Modules without an entry point
+ * are loaded with node-gyp-build's resolver when they use it. Prints 'loaded', or 'unchecked'
+ * when there is nothing to load; exits non-zero when loading fails.
+ */
+const LOAD_MODULE_SCRIPT = `
+const dir = process.argv[1];
+try {
+  require(dir);
+} catch (error) {
+  if (error.code !== 'MODULE_NOT_FOUND' || /\\.node\\b/.test(error.message)) throw error;
+  let load = null;
+  try {
+    load = require(require.resolve('node-gyp-build', { paths: [dir] }));
+  } catch {
+    process.stdout.write('unchecked');
+    process.exit(0);
+  }
+  load(dir);
+}
+process.stdout.write('loaded');
+process.exit(0);
+`;
+
+/**
+ * Load a native module with a Node.js version, in a child process so an addon built for
+ * another ABI can't take this process down
+ * @param {string} moduleDir
+ * @param {string} nodeVersion
+ * @returns {Promise<{status: 'ok'|'unchecked'|'failed', error: string|null}>}
+ *   unchecked when the module has no entry point to load, or exits while loading
+ */
+async function loadNativeModule(moduleDir, nodeVersion) {
+  try {
+    const { stdout } = await runInNodeVersion(nodeVersion, 'node', ['-e', LOAD_MODULE_SCRIPT, moduleDir]);
+    return stdout.trim().endsWith('loaded')
+      ? { status: 'ok', error: null }
+      : { status: 'unchecked', error: `${path.basename(moduleDir)} has no entry point to load` };
+  } catch (error) {
+    const lines = String(error.stderr || '').split('\n');
+    return {
+      status: 'failed',
+      error: (lines.find((line) => /Error/.test(line)) || error.shortMessage || error.message).trim(),
+    };
+  }
+}
+
+/**
+ * Load every native module in a package's tree, see findNativeAddons
+ * @param {string} packageDir
+ * @param {string} nodeVersion
+ * @returns {Promise<{status: 'ok'|'unchecked'|'failed', error: string|null, addons: string[]}>}
+ *   failed when any module fails to load, unchecked when none could be checked
+ */
+async function loadNativeModules(packageDir, nodeVersion) {
+  const { addons, modules } = await findNativeAddons(packageDir);
+  if (modules.length === 0) {
+    return { status: 'unchecked', error: 'no native module found', addons };
+  }
+  const results = [];
+  for (const moduleDir of modules) {
+    results.push(await loadNativeModule(path.join(packageDir, moduleDir), nodeVersion));
+  }
+  const failed = results.find((result) => result.status === 'failed');
+  if (failed) return { ...failed, addons };
+  return results.some((result) => result.status === 'ok')
+    ? { status: 'ok', error: null, addons }
+    : { ...results[0], addons };
+}
+
+/**
+ * Rebuild a global package's native addons for a Node.js version (`npm rebuild -g`)
+ * @param {string} packageName
+ * @param {string} nodeVersion
+ * @returns {Promise<string|null>} null on success, otherwise the error message
+ */
+async function rebuildGlobalPackage(packageName, nodeVersion) {
+  try {
+    assertValidPackageSpec(packageName);
+    await runInNodeVersion(nodeVersion, 'npm', ['rebuild', '-g', packageName]);
+    recordOperation({ action: 'package-rebuild', node: nodeVersion, package: packageName, success: true });
+    return null;
+  } catch (error) {
+    recordOperation({
+      action: 'package-rebuild',
+      node: nodeVersion,
+      package: packageName,
+      success: false,
+      error: error.message,
+    });
+    return error.shortMessage || error.message;
+  }
+}
+
+/**
+ * Check that the native packages among migrated packages load on the Node.js version they
+ * were installed to, rebuilding those that don't. A package counts as native when it had
+ * native bindings before the migration or has them after it.
+ * @param {{name: string, native?: {abi: string|null, addons: string[]}|null}[]} packages packages as they were on the source version
+ * @param {string} nodeVersion target Node.js version
+ * @returns {Promise<{name: string, fromAbi: string|null, abi: string|null, addons: string[],
+ *   status: 'ok'|'rebuilt'|'failed'|'unchecked', error: string|null}[]>}
+ *   status is 'ok' when the package's native modules loaded as installed, 'unchecked' when the target's
+ *   packages can't be read or a package has no native module that can be loaded on its own
+ */
+async function verifyNativePackages(packages, nodeVersion) {
+  const previous = new Map(packages.map((pkg) => [pkg.name, pkg]));
+  const modulesDir = getGlobalModulesDir(nodeVersion);
+  let installed;
+  try {
+    if (!modulesDir) throw new Error(`no global node_modules for Node.js ${nodeVersion}`);
+    installed = (await readGlobalPackages(nodeVersion)).filter(
+      (pkg) => previous.has(pkg.name) && (pkg.native || previous.get(pkg.name).native)
+    );
+  } catch (error) {
+    return packages
+      .filter((pkg) => pkg.native)
+      .map((pkg) => ({
+        name: pkg.name,
+        fromAbi: pkg.native.abi,
+        abi: null,
+        addons: [],
+        status: 'unchecked',
+        error: error.message,
+      }));
+  }
+  const abi = await resolveNodeAbi(nodeVersion);
+
+  // One at a time: rebuilds compile and are heavy
+  const results = [];
+  for (const pkg of installed) {
+    const packageDir = path.join(modulesDir, pkg.name);
+    const before = previous.get(pkg.name).native;
+    const result = { name: pkg.name, fromAbi: before ? before.abi : null, abi };
+
+    let check = await loadNativeModules(packageDir, nodeVersion);
+    if (check.status === 'failed') {
+      const rebuildError = await rebuildGlobalPackage(pkg.name, nodeVersion);
+      if (rebuildError) {
+        check = { ...check, error: `npm rebuild failed: ${rebuildError}` };
+      } else {
+        check = await loadNativeModules(packageDir, nodeVersion);
+        if (check.status === 'failed') {
+          check.error = `still does not load after rebuild: ${check.error}`;
+        } else {
+          check.status = 'rebuilt';
+        }
+      }
+    }
+    results.push({ ...result, status: check.status, error: check.error, addons: check.addons });
+  }
+  return results;
+}
+
+/**
+ * One-line summary of a native package check
+ * @param {{name: string, fromAbi: string|null, abi: string|null, status: string, error: string|null}} result
+ * @returns {string} e.g. 'better-sqlite3 (ABI 108 → 127): rebuilt, loads'
+ */
+function formatNativeResult(result) {
+  const abis = result.fromAbi && result.fromAbi !== result.abi
+    ? `ABI ${result.fromAbi} → ${result.abi || '?'}`
+    : `ABI ${result.abi || result.fromAbi || '?'}`;
+  const outcome = {
+    ok: 'loads',
+    rebuilt: 'rebuilt, loads',
+    failed: result.error,
+    unchecked: `not checked (${result.error})`,
+  }[result.status];
+  return `${result.name} (${abis}): ${outcome}`;
+}
+
+module.exports = {
+  resolveNodeAbi,
+  loadNativeModule,
+  loadNativeModules,
+  rebuildGlobalPackage,
+  verifyNativePackages,
+  formatNativeResult,
+};
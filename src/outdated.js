@@ -0,0 +1,91 @@
+const semver = require('semver');
+const { fetchPackuments, getDeprecation } = require('./registry');
+const { findCompatibleVersion } = require('./engines');
+
+/** Update levels: the range, relative to the installed version, an update may move within */
+const UPDATE_LEVELS = {
+  patch: (current) => `~${current}`,
+  wanted: (current) => `^${current}`,
+  latest: () => null,
+};
+
+/**
+ * Newest release within an update level that supports a Node.js version
+ * @param {object} packument
+ * @param {string} current installed version
+ * @param {'patch'|'wanted'|'latest'} level
+ * @param {string} nodeVersion
+ * @param {string|null} [pin] range from a pin rule the release must also satisfy
+ * @returns {string|null} null when no such release is known
+ */
+function findUpdateVersion(packument, current, level, nodeVersion, pin = null) {
+  let range = UPDATE_LEVELS[level](current);
+  if (pin) {
+    // Intersect: every comparator set of the pin must also hold the level's range
+    const pinSets = new semver.Range(pin).range.split('||').map((set) => set.trim());
+    range = range ? pinSets.map((set) => `${range} ${set}`).join(' || ') : pin;
+  }
+  const { status, version } = findCompatibleVersion(packument, range, nodeVersion);
+  return status === 'compatible' || status === 'downgraded' ? version : null;
+}
+
+/**
+ * Compare the registry packages installed in each Node.js version with the registry.
+ * Every package is looked up once, however many versions have it.
+ * @param {{version: string, packages: {name: string, version: string|null, source?: string, range?: string}[]}[]} scanned
+ *   scan results, see scanGlobalPackages; a package's range (from a pin rule) bounds its updates
+ * @param {{refresh?: boolean}} [options] refresh ignores cached registry metadata
+ * @returns {Promise<{node: string, name: string, current: string, patch: string, wanted: string, latest: string,
+ *   deprecated: string|null, error?: string}[]>} one entry per package and Node.js version, by package then version;
+ *   patch, wanted and latest are the newest releases that support that Node.js version within
+ *   ~current, ^current and overall, or the current version when there is nothing newer;
+ *   deprecated is the registry's deprecation message for the current version
+ */
+async function checkOutdated(scanned, options = {}) {
+  const installs = [];
+  scanned.forEach(({ version, packages }) =>
+    packages
+      .filter((pkg) => (pkg.source || 'registry') === 'registry' && semver.valid(pkg.version))
+      .forEach((pkg) => installs.push({ node: version, name: pkg.name, current: pkg.version, pin: pkg.range }))
+  );
+
+  const packuments = await fetchPackuments(installs.map((entry) => entry.name), options);
+
+  const newest = (candidate, current) => (candidate && semver.gt(candidate, current) ? candidate : current);
+  return installs
+    .map(({ pin, ...entry }) => {
+      const packument = packuments.get(entry.name);
+      if (packument instanceof Error) {
+        return {
+          ...entry,
+          patch: entry.current,
+          wanted: entry.current,
+          latest: entry.current,
+          deprecated: null,
+          error: packument.message,
+        };
+      }
+      const result = { ...entry, deprecated: getDeprecation(packument, entry.current) };
+      Object.keys(UPDATE_LEVELS).forEach((level) => {
+        result[level] = newest(findUpdateVersion(packument, entry.current, level, entry.node, pin), entry.current);
+      });
+      return result;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name) || semver.compare(a.node, b.node));
+}
+
+/**
+ * Whether a checked package has a newer release at any update level
+ * @param {{current: string, patch: string, wanted: string, latest: string}} entry
+ * @returns {boolean}
+ */
+function isOutdated(entry) {
+  return Object.keys(UPDATE_LEVELS).some((level) => entry[level] !== entry.current);
+}
+
+module.exports = {
+  UPDATE_LEVELS,
+  findUpdateVersion,
+  checkOutdated,
+  isOutdated,
+};
@@ -0,0 +1,152 @@
+const semver = require('semver');
+const { assertValidPackageSpec, splitPackageSpec } = require('./shell');
+
+/**
+ * Rules that apply unless the config has a rule for the same package.
+ * corepack ships with Node.js 16.9 and later, so installing it globally only shadows the bundled copy.
+ */
+const BUILTIN_PACKAGE_RULES = {
+  corepack: { exclude: '>=16.9.0', reason: 'bundled with Node.js' },
+};
+
+const RULE_FIELDS = ['exclude', 'pin', 'replace', 'reason'];
+
+/**
+ * Check package rules from the config, keyed by package name:
+ * - exclude: true, or a semver range of Node.js versions the package is skipped on
+ * - pin: semver range the package is installed within, e.g. "~5.4"
+ * - replace: package that is installed instead, optionally with a range, e.g. "eslint" or "eslint@9"
+ * - reason: shown when the rule is applied
+ * @param {object} rules e.g. { tslint: { replace: 'eslint', reason: 'tslint is deprecated' } }
+ * @returns {object} the rules
+ * @throws {Error} describing the first invalid rule
+ */
+function validatePackageRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('package rules must be an object keyed by package name');
+  }
+  for (const [name, rule] of Object.entries(rules)) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`rule for ${name} must be an object`);
+    }
+    const unknown = Object.keys(rule).find((field) => !RULE_FIELDS.includes(field));
+    if (unknown) {
+      throw new Error(`rule for ${name} has unknown field '${unknown}', use ${RULE_FIELDS.join(', ')}`);
+    }
+    if (rule.exclude !== undefined && typeof rule.exclude !== 'boolean' && !semver.validRange(rule.exclude)) {
+      throw new Error(`rule for ${name}: exclude must be true, false or a Node.js version range`);
+    }
+    if (rule.pin !== undefined && !semver.validRange(rule.pin)) {
+      throw new Error(`rule for ${name}: pin must be a version range, got '${rule.pin}'`);
+    }
+    if (rule.replace !== undefined) {
+      assertValidPackageSpec(String(rule.replace));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Combine the built-in rules, the ignorePackages list and configured rules (later wins per package)
+ * @param {object} configuredRules packageRules setting
+ * @param {string[]} [ignorePackages] packages that are always excluded
+ * @returns {object} rules keyed by package name
+ */
+function mergePackageRules(configuredRules, ignorePackages = []) {
+  const ignored = Object.fromEntries(
+    ignorePackages.map((name) => [name, { exclude: true, reason: 'ignorePackages setting' }])
+  );
+  return { ...BUILTIN_PACKAGE_RULES, ...ignored, ...configuredRules };
+}
+
+/**
+ * Whether an exclude rule applies on a Node.js version
+ * @param {boolean|string} exclude
+ * @param {string|null} nodeVersion unknown versions only match `exclude: true`
+ * @returns {boolean}
+ */
+function isExcludedOn(exclude, nodeVersion) {
+  if (exclude === true) return true;
+  if (!exclude || !nodeVersion) return false;
+  return semver.satisfies(nodeVersion, exclude, { includePrerelease: true });
+}
+
+/**
+ * Apply package rules to the packages about to be installed on a Node.js version.
+ * Excluded packages are dropped, replaced packages are swapped for their successor
+ * (the successor's own pin rule still applies) and pinned registry packages get a `range`
+ * that takes precedence over the install strategy. Changed packages carry `ruleNotes`,
+ * e.g. ['replaces tslint', 'pinned to ~9'], for prompts.
+ * @param {{name: string, version: string|null, source?: string}[]} packages
+ * @param {object} rules from mergePackageRules
+ * @param {string|null} nodeVersion target Node.js version
+ * @returns {{packages: object[], applied: {name: string, action: 'exclude'|'pin'|'replace', detail: string, reason?: string}[]}}
+ *   applied lists every rule that changed a package, in package order
+ */
+function applyPackageRules(packages, rules, nodeVersion) {
+  const result = [];
+  const applied = [];
+  const positions = new Map();
+
+  for (const original of packages) {
+    let pkg = original;
+    let rule = rules[pkg.name] || {};
+
+    if (isExcludedOn(rule.exclude, nodeVersion)) {
+      applied.push({
+        name: pkg.name,
+        action: 'exclude',
+        detail: rule.exclude === true ? 'excluded' : `excluded on Node.js ${rule.exclude}`,
+        reason: rule.reason,
+      });
+      continue;
+    }
+
+    if (rule.replace) {
+      const replacement = splitPackageSpec(String(rule.replace));
+      applied.push({ name: pkg.name, action: 'replace', detail: `replaced by ${rule.replace}`, reason: rule.reason });
+      pkg = {
+        name: replacement.name,
+        version: null,
+        source: 'registry',
+        range: replacement.range,
+        replaces: original.name,
+        ruleNotes: [`replaces ${original.name}`],
+      };
+      rule = rules[pkg.name] || {};
+    }
+
+    if (rule.pin && (pkg.source || 'registry') === 'registry') {
+      applied.push({ name: pkg.name, action: 'pin', detail: `pinned to ${rule.pin}`, reason: rule.reason });
+      pkg = { ...pkg, range: rule.pin, ruleNotes: [...(pkg.ruleNotes || []), `pinned to ${rule.pin}`] };
+    }
+
+    // A successor may already be in the list, e.g. both tslint and eslint are installed;
+    // the installed copy wins over the replacement
+    if (positions.has(pkg.name)) {
+      const index = positions.get(pkg.name);
+      if (result[index].replaces && !pkg.replaces) result[index] = pkg;
+      continue;
+    }
+    positions.set(pkg.name, result.length);
+    result.push(pkg);
+  }
+  return { packages: result, applied };
+}
+
+/**
+ * One-line description of an applied rule for progress output
+ * @param {{name: string, detail: string, reason?: string}} entry
+ * @returns {string} e.g. 'tslint: replaced by eslint (tslint is deprecated)'
+ */
+function formatAppliedRule(entry) {
+  return `${entry.name}: ${entry.detail}${entry.reason ? ` (${entry.reason})` : ''}`;
+}
+
+module.exports = {
+  BUILTIN_PACKAGE_RULES,
+  validatePackageRules,
+  mergePackageRules,
+  applyPackageRules,
+  formatAppliedRule,
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { matchInstalledVersion } = require('./utils');
+
+const DEFAULT_SCAN_DEPTH = 4;
+
+/** Directories never descended into while looking for projects */
+const IGNORED_DIRS = new Set(['node_modules', 'bower_components', 'dist', 'build', 'coverage']);
+
+const VERSION_FILES = ['.nvmrc', '.node-version'];
+
+/**
+ * Find project directories (containing package.json, .nvmrc or .node-version) below the given roots
+ * @param {string[]} roots
+ * @param {{maxDepth?: number}} [options]
+ * @returns {string[]} absolute project directories
+ */
+function findProjects(roots, options = {}) {
+  const { maxDepth = DEFAULT_SCAN_DEPTH } = options;
+  const projects = [];
+
+  const walk = (dir, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    const names = new Set(entries.map((entry) => entry.name));
+    if (names.has('package.json') || VERSION_FILES.some((file) => names.has(file))) {
+      projects.push(dir);
+    }
+
+    if (depth >= maxDepth) return;
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) {
+        continue;
+      }
+      walk(path.join(dir, entry.name), depth + 1);
+    }
+  };
+
+  for (const root of roots) {
+    walk(path.resolve(root), 0);
+  }
+  return projects;
+}
+
+/**
+ * Read the first meaningful line of a .nvmrc / .node-version file
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function readVersionFile(filePath) {
+  try {
+    const line = fs
+      .readFileSync(filePath, 'utf-8')
+      .split('\n')
+      .map((l) => l.replace(/#.*$/, '').trim())
+      .find(Boolean);
+    return line || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect the Node.js versions a project asks for
+ * @param {string} projectDir
+ * @returns {{project: string, source: string, requested: string}[]}
+ */
+function readProjectRequests(projectDir) {
+  const requests = [];
+
+  for (const file of VERSION_FILES) {
+    const requested = readVersionFile(path.join(projectDir, file));
+    if (requested) requests.push({ project: projectDir, source: file, requested });
+  }
+
+  try {
+    const pkgJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf-8'));
+    if (pkgJson.engines && typeof pkgJson.engines.node === 'string') {
+      requests.push({ project: projectDir, source: 'engines.node', requested: pkgJson.engines.node });
+    }
+    if (pkgJson.volta && typeof pkgJson.volta.node === 'string') {
+      requests.push({ project: projectDir, source: 'volta.node', requested: pkgJson.volta.node });
+    }
+  } catch {
+    // No package.json or not valid JSON
+  }
+
+  return requests;
+}
+
+/**
+ * Scan workspace directories and match every project's Node.js request against installed versions
+ * @param {string[]} roots
+ * @param {string[]} installedVersions
+ * @param {{maxDepth?: number}} [options]
+ * @returns {{requests: {project: string, source: string, requested: string, match: string|null}[], unsatisfied: object[]}}
+ */
+function scanProjects(roots, installedVersions, options = {}) {
+  const requests = findProjects(roots, options)
+    .flatMap(readProjectRequests)
+    .map((request) => ({
+      ...request,
+      match: matchInstalledVersion(request.requested, installedVersions),
+    }));
+  return {
+    requests,
+    unsatisfied: requests.filter((request) => !request.match),
+  };
+}
+
+/**
+ * Installed versions that projects still rely on
+ * @param {{requests: object[]}} scanResult
+ * @returns {Map<string, string[]>} version -> project directories
+ */
+function getProtectedVersions(scanResult) {
+  const protectedVersions = new Map();
+  for (const { match, project } of scanResult.requests) {
+    if (!match) continue;
+    const projects = protectedVersions.get(match) || [];
+    if (!projects.includes(project)) projects.push(project);
+    protectedVersions.set(match, projects);
+  }
+  return protectedVersions;
+}
+
+module.exports = {
+  DEFAULT_SCAN_DEPTH,
+  findProjects,
+  readProjectRequests,
+  scanProjects,
+  getProtectedVersions,
+};
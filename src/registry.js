@@ -0,0 +1,331 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getJson } = require('./http');
+const { assertValidPackageSpec } = require('./shell');
+const { getDataDir, mapWithConcurrency } = require('./utils');
+const { getConfigValue } = require('./config');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+const REGISTRY_CONCURRENCY = 8;
+
+const CACHE_SCHEMA_VERSION = 1;
+
+/** npm settings from .npmrc files and npm_config_* variables, read once per run */
+let npmConfig = null;
+const packumentCache = new Map();
+
+/**
+ * Parse an .npmrc file (ini key=value lines), expanding ${VAR} references like npm does
+ * @param {string} filePath
+ * @returns {Object<string, string>} empty when the file is missing
+ */
+function readNpmrc(filePath) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf-8');
+  } catch {
+    return {};
+  }
+  const settings = {};
+  contents.split(/\r?\n/).forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith(';')) return;
+    const separator = trimmed.indexOf('=');
+    if (separator === -1) return;
+    const key = trimmed.slice(0, separator).trim();
+    const value = trimmed
+      .slice(separator + 1)
+      .trim()
+      .replace(/^(["'])(.*)\1$/, '$2')
+      .replace(/\$\{([^}]+)\}/g, (match, name) => process.env[name] || '');
+    settings[key] = value;
+  });
+  return settings;
+}
+
+/**
+ * Nearest .npmrc from the current directory upwards, npm's project config
+ * @returns {string|null}
+ */
+function findProjectNpmrc() {
+  let dir = process.cwd();
+  while (true) {
+    const candidate = path.join(dir, '.npmrc');
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * npm settings that decide where packages come from and how to authenticate:
+ * the user .npmrc, then the project .npmrc, then npm_config_* environment variables
+ * @returns {Object<string, string>}
+ */
+function getNpmConfig() {
+  if (!npmConfig) {
+    const env = {};
+    Object.keys(process.env)
+      .filter((name) => /^npm_config_/i.test(name) && process.env[name])
+      .forEach((name) => {
+        env[name.slice('npm_config_'.length).toLowerCase()] = process.env[name];
+      });
+    const userConfig = env.userconfig || path.join(os.homedir(), '.npmrc');
+    const projectConfig = findProjectNpmrc();
+    npmConfig = {
+      ...readNpmrc(userConfig),
+      ...(projectConfig && projectConfig !== userConfig ? readNpmrc(projectConfig) : {}),
+      ...env,
+    };
+  }
+  return npmConfig;
+}
+
+/**
+ * Registry npm installs a package from: the `@scope:registry` of scoped packages,
+ * otherwise the `registry` setting
+ * @param {string} [packageName]
+ * @returns {string} URL ending in '/'
+ */
+function getRegistryUrl(packageName = '') {
+  const config = getNpmConfig();
+  const scope = packageName.startsWith('@') ? packageName.split('/')[0] : null;
+  const url = (scope && config[`${scope}:registry`]) || config.registry;
+  return (/^https?:\/\//.test(url || '') ? url : DEFAULT_REGISTRY).replace(/\/?$/, '/');
+}
+
+/**
+ * Hosts npm installs registry packages from: the `registry` setting, every `@scope:registry`,
+ * and registry.npmjs.org, whose tarball URLs npm rewrites to the configured registry
+ * @returns {Set<string>} host names, with the port when there is one
+ */
+function getRegistryHosts() {
+  const config = getNpmConfig();
+  const urls = [
+    DEFAULT_REGISTRY,
+    getRegistryUrl(),
+    ...Object.keys(config)
+      .filter((key) => key.startsWith('@') && key.endsWith(':registry'))
+      .map((key) => config[key]),
+  ];
+  const hosts = new Set();
+  urls.forEach((url) => {
+    try {
+      hosts.add(new URL(url).host);
+    } catch {
+      // Not a URL, npm ignores it too
+    }
+  });
+  return hosts;
+}
+
+/**
+ * Whether a `resolved` URL points at a configured registry, whatever its tarball URL layout
+ * (npm's `/<name>/-/<file>.tgz`, GitHub Packages' `/download/...`, Artifactory's `/api/npm/...`)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isRegistryUrl(url) {
+  try {
+    return getRegistryHosts().has(new URL(url).host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Authorization header for a registry from the credentials npm keeps per registry
+ * (`//host/path/:_authToken`, `:_auth`, or `:username` with `:_password`).
+ * The longest matching registry path wins, as in npm.
+ * @param {string} registryUrl
+ * @returns {Object<string, string>} empty when there are no credentials
+ */
+function getAuthHeaders(registryUrl) {
+  const config = getNpmConfig();
+  let prefix = registryUrl.replace(/^https?:/, '');
+  while (prefix.length > 2) {
+    const token = config[`${prefix}:_authToken`];
+    if (token) return { authorization: `Bearer ${token}` };
+    const basic = config[`${prefix}:_auth`];
+    if (basic) return { authorization: `Basic ${basic}` };
+    const username = config[`${prefix}:username`];
+    const password = config[`${prefix}:_password`];
+    if (username && password) {
+      const decoded = Buffer.from(password, 'base64').toString('utf-8');
+      return { authorization: `Basic ${Buffer.from(`${username}:${decoded}`).toString('base64')}` };
+    }
+    // Try the parent path: //host/a/b/ -> //host/a/
+    prefix = prefix.replace(/[^/]*\/$/, '');
+  }
+  return {};
+}
+
+/**
+ * Location of a package's cached registry metadata
+ * @param {string} packageName
+ * @returns {string}
+ */
+function getPackumentCachePath(packageName) {
+  return path.join(getDataDir(), 'cache', 'registry', `${encodeURIComponent(packageName)}.json`);
+}
+
+/**
+ * Keep the parts of a packument nvm-manager uses; full packuments can be tens of megabytes
+ * @param {object} packument full registry document
+ * @returns {{name: string, description: string|null, 'dist-tags': Object<string, string>,
+ *   versions: Object<string, {engines?: object, deprecated?: string}>}}
+ */
+function slimPackument(packument) {
+  const versions = {};
+  Object.entries(packument.versions || {}).forEach(([version, manifest]) => {
+    versions[version] = {
+      ...(manifest.engines ? { engines: manifest.engines } : {}),
+      ...(manifest.deprecated ? { deprecated: manifest.deprecated } : {}),
+    };
+  });
+  const distTags = packument['dist-tags'] || {};
+  const latest = (packument.versions || {})[distTags.latest] || {};
+  return {
+    name: packument.name,
+    description: packument.description || latest.description || null,
+    'dist-tags': distTags,
+    versions,
+  };
+}
+
+/**
+ * Cached packument if it came from the same registry within the cache TTL (registryCacheTtl minutes)
+ * @param {string} packageName
+ * @param {string} registry
+ * @returns {object|null}
+ */
+function readCachedPackument(packageName, registry) {
+  const ttlMs = getConfigValue('registryCacheTtl') * 60 * 1000;
+  if (ttlMs <= 0) return null;
+  try {
+    const cached = JSON.parse(fs.readFileSync(getPackumentCachePath(packageName), 'utf-8'));
+    if (
+      cached.schemaVersion === CACHE_SCHEMA_VERSION &&
+      cached.registry === registry &&
+      Date.now() - cached.fetchedAt < ttlMs
+    ) {
+      return cached.packument;
+    }
+  } catch {
+    // Missing or corrupt cache entry
+  }
+  return null;
+}
+
+function writeCachedPackument(packageName, registry, packument) {
+  try {
+    const cachePath = getPackumentCachePath(packageName);
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(
+      cachePath,
+      JSON.stringify({ schemaVersion: CACHE_SCHEMA_VERSION, registry, fetchedAt: Date.now(), packument })
+    );
+  } catch {
+    // The cache is only an optimisation
+  }
+}
+
+/**
+ * Fetch a package's registry metadata (packument): once per run, and from the disk cache
+ * while it is fresh. Uses the registry and credentials npm would.
+ * @param {string} packageName
+ * @param {{refresh?: boolean}} [options] refresh ignores the disk cache
+ * @returns {Promise<{name: string, description: string|null, 'dist-tags': Object<string, string>,
+ *   versions: Object<string, {engines?: object, deprecated?: string}>}>}
+ * @throws {Error} when the package does not exist or the registry can't be reached
+ */
+function fetchPackument(packageName, options = {}) {
+  assertValidPackageSpec(packageName);
+  if (!packumentCache.has(packageName)) {
+    const registry = getRegistryUrl(packageName);
+    const cached = options.refresh ? null : readCachedPackument(packageName, registry);
+    const request = cached
+      ? Promise.resolve(cached)
+      : // Scoped names keep their '@' but encode the '/'
+        getJson(`${registry}${packageName.replace('/', '%2f')}`, { headers: getAuthHeaders(registry) }).then(
+          (packument) => {
+            const slim = slimPackument(packument);
+            writeCachedPackument(packageName, registry, slim);
+            return slim;
+          }
+        );
+    // Don't keep failures around, a later lookup may succeed
+    request.catch(() => packumentCache.delete(packageName));
+    packumentCache.set(packageName, request);
+  }
+  return packumentCache.get(packageName);
+}
+
+/**
+ * Fetch the packuments of several packages concurrently
+ * @param {string[]} packageNames
+ * @param {{refresh?: boolean}} [options]
+ * @returns {Promise<Map<string, object|Error>>} packument, or the error fetching it, by package name
+ */
+async function fetchPackuments(packageNames, options = {}) {
+  const names = [...new Set(packageNames)];
+  const packuments = new Map();
+  await mapWithConcurrency(names, REGISTRY_CONCURRENCY, async (name) => {
+    try {
+      packuments.set(name, await fetchPackument(name, options));
+    } catch (error) {
+      packuments.set(name, error);
+    }
+  });
+  return packuments;
+}
+
+/**
+ * Summary of a package's latest release
+ * @param {string} packageName
+ * @returns {Promise<{name: string, description: string|null, distTags: Object<string, string>, latest: string|null,
+ *   engines: string|null, deprecated: string|null}>} engines is the latest release's engines.node range
+ * @throws {Error} when the package does not exist or the registry can't be reached
+ */
+async function getPackageInfo(packageName) {
+  const packument = await fetchPackument(packageName);
+  const distTags = packument['dist-tags'] || {};
+  const latest = packument.versions[distTags.latest] || {};
+  return {
+    name: packageName,
+    description: packument.description,
+    distTags,
+    latest: distTags.latest || null,
+    engines: (latest.engines && latest.engines.node) || null,
+    deprecated: latest.deprecated || null,
+  };
+}
+
+/**
+ * Deprecation message of a specific release
+ * @param {object} packument
+ * @param {string} version
+ * @returns {string|null}
+ */
+function getDeprecation(packument, version) {
+  const manifest = packument.versions[version];
+  return (manifest && manifest.deprecated) || null;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  readNpmrc,
+  getNpmConfig,
+  getRegistryUrl,
+  getRegistryHosts,
+  isRegistryUrl,
+  getAuthHeaders,
+  getPackumentCachePath,
+  fetchPackument,
+  fetchPackuments,
+  getPackageInfo,
+  getDeprecation,
+};
@@ -0,0 +1,249 @@
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const semver = require('semver');
+const { getJson } = require('./http');
+const { getDataDir } = require('./utils');
+
+const DEFAULT_MIRROR = 'https://nodejs.org/dist';
+
+const DEFAULT_SCHEDULE_URL = 'https://raw.githubusercontent.com/nodejs/Release/main/schedule.json';
+
+/** How long a downloaded index is reused before fetching again */
+const INDEX_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Mirror nvm is configured to download from (`NVM_NODEJS_ORG_MIRROR`)
+ * @returns {string} without trailing slash
+ */
+function getMirrorUrl() {
+  return (process.env.NVM_NODEJS_ORG_MIRROR || DEFAULT_MIRROR).replace(/\/+$/, '');
+}
+
+/**
+ * Local index.json to use instead of the mirror, for offline and air-gapped setups.
+ * Set `NVM_MANAGER_RELEASE_INDEX`, or point the mirror at a directory with a file:// URL.
+ * @returns {string|null}
+ */
+function getLocalIndexPath() {
+  if (process.env.NVM_MANAGER_RELEASE_INDEX) {
+    return process.env.NVM_MANAGER_RELEASE_INDEX;
+  }
+  const mirror = getMirrorUrl();
+  if (mirror.startsWith('file://')) {
+    return path.join(url.fileURLToPath(mirror), 'index.json');
+  }
+  return null;
+}
+
+function getCachePath(name) {
+  return path.join(getDataDir(), 'cache', name);
+}
+
+/**
+ * Normalize an entry of nodejs.org's `index.json`
+ * @param {object} entry
+ * @returns {{version: string, date: string, lts: string|null, npm: string|null, v8: string|null, modules: string|null, security: boolean}}
+ */
+function normalizeRelease(entry) {
+  return {
+    version: entry.version.replace(/^v/, ''),
+    date: entry.date,
+    lts: entry.lts || null,
+    npm: entry.npm || null,
+    v8: entry.v8 || null,
+    modules: entry.modules || null,
+    security: Boolean(entry.security),
+  };
+}
+
+/**
+ * Fetch JSON from a URL through an on-disk cache. A fresh cache entry is reused for an hour;
+ * a stale one is still used when the URL is unreachable.
+ * @param {string} url
+ * @param {string} cacheName file name in the cache directory
+ * @param {boolean} refresh bypass a fresh cache entry
+ * @returns {Promise<any>}
+ */
+async function getCachedJson(url, cacheName, refresh) {
+  let cache = null;
+  try {
+    cache = JSON.parse(fs.readFileSync(getCachePath(cacheName), 'utf-8'));
+    if (cache.url !== url) cache = null;
+  } catch {
+    // No usable cache
+  }
+  if (!refresh && cache && Date.now() - cache.fetchedAt < INDEX_TTL_MS) {
+    return cache.data;
+  }
+
+  try {
+    const data = await getJson(url);
+    try {
+      const cachePath = getCachePath(cacheName);
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ url, fetchedAt: Date.now(), data }));
+    } catch {
+      // The cache is only an optimisation
+    }
+    return data;
+  } catch (error) {
+    if (cache) return cache.data;
+    throw error;
+  }
+}
+
+/**
+ * Load the Node.js release index, newest release first.
+ * Reads a local index file when configured, otherwise the mirror's index.json,
+ * reusing a cached copy for an hour and falling back to it when the mirror is unreachable.
+ * @param {{refresh?: boolean}} [options] refresh bypasses the cache
+ * @returns {Promise<object[]>} normalized releases
+ * @throws {Error} when no index can be loaded
+ */
+async function loadReleaseIndex(options = {}) {
+  const localPath = getLocalIndexPath();
+  if (localPath) {
+    const entries = JSON.parse(fs.readFileSync(localPath, 'utf-8'));
+    return entries.map(normalizeRelease);
+  }
+
+  const mirror = getMirrorUrl();
+  try {
+    const entries = await getCachedJson(`${mirror}/index.json`, 'release-index.json', options.refresh);
+    return entries.map(normalizeRelease);
+  } catch (error) {
+    throw new Error(`Could not load release index from ${mirror}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the Node.js release schedule (nodejs/Release `schedule.json`): per major line,
+ * its start, LTS, maintenance and end-of-life dates.
+ * Reads `NVM_MANAGER_RELEASE_SCHEDULE` when set, otherwise `NVM_MANAGER_SCHEDULE_URL`
+ * (default: the nodejs/Release repository).
+ * @param {{refresh?: boolean}} [options]
+ * @returns {Promise<Object<string, {start: string, lts?: string, maintenance?: string, end: string, codename?: string}>>} keyed by 'v18', 'v0.12', ...
+ * @throws {Error} when no schedule can be loaded
+ */
+async function loadReleaseSchedule(options = {}) {
+  if (process.env.NVM_MANAGER_RELEASE_SCHEDULE) {
+    return JSON.parse(fs.readFileSync(process.env.NVM_MANAGER_RELEASE_SCHEDULE, 'utf-8'));
+  }
+  const url = process.env.NVM_MANAGER_SCHEDULE_URL || DEFAULT_SCHEDULE_URL;
+  try {
+    return await getCachedJson(url, 'release-schedule.json', options.refresh);
+  } catch (error) {
+    throw new Error(`Could not load release schedule from ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Support status of a version's release line on a given date
+ * @param {string} version
+ * @param {object|null} schedule from loadReleaseSchedule, null when unavailable
+ * @param {Date} [now]
+ * @returns {{status: 'current'|'active-lts'|'maintenance'|'eol'|'unknown', line: string, end: string|null}}
+ */
+function getLineStatus(version, schedule, now = new Date()) {
+  const parsed = semver.parse(version);
+  const line = parsed.major === 0 ? `v0.${parsed.minor}` : `v${parsed.major}`;
+  const entry = schedule && schedule[line];
+  if (!entry) {
+    return { status: 'unknown', line, end: null };
+  }
+
+  const reached = (date) => date && now >= new Date(date);
+  let status = 'current';
+  if (reached(entry.end)) {
+    status = 'eol';
+  } else if (reached(entry.maintenance)) {
+    status = 'maintenance';
+  } else if (reached(entry.lts)) {
+    status = 'active-lts';
+  }
+  return { status, line, end: entry.end || null };
+}
+
+/**
+ * Security releases in the same major line that are newer than a version
+ * @param {string} version
+ * @param {object[]} releases
+ * @returns {{fixedIn: string|null, latestInLine: string|null}}
+ *   fixedIn: the oldest newer security release, latestInLine: newest release of the line
+ */
+function getSecurityStatus(version, releases) {
+  const major = semver.major(version);
+  const sameLine = releases.filter(
+    (release) => semver.major(release.version) === major && semver.gt(release.version, version)
+  );
+  const securityReleases = sameLine
+    .filter((release) => release.security)
+    .sort((a, b) => semver.compare(a.version, b.version));
+  const latest = sameLine.sort((a, b) => semver.rcompare(a.version, b.version))[0];
+  return {
+    fixedIn: securityReleases.length ? securityReleases[0].version : null,
+    latestInLine: latest ? latest.version : null,
+  };
+}
+
+/**
+ * Newest LTS release
+ * @param {object[]} releases
+ * @returns {object|null}
+ */
+function getLatestLtsRelease(releases) {
+  return releases.find((release) => release.lts) || null;
+}
+
+/**
+ * Release metadata for an exact version
+ * @param {object[]} releases
+ * @param {string} version
+ * @returns {object|null}
+ */
+function findRelease(releases, version) {
+  const bare = version.replace(/^v/, '');
+  return releases.find((release) => release.version === bare) || null;
+}
+
+/**
+ * Resolve a version spec the way nvm does: 'lts/*', 'lts/<codename>', 'node', 'latest',
+ * a version prefix ('20', '20.11') or an exact version
+ * @param {string} spec
+ * @param {object[]} releases
+ * @returns {string|null} exact version or null if nothing matches
+ */
+function resolveVersionSpec(spec, releases) {
+  const value = spec.trim().toLowerCase();
+  let match = null;
+
+  if (value === 'node' || value === 'latest' || value === 'current') {
+    match = releases[0];
+  } else if (value === 'lts/*' || value === 'lts') {
+    match = getLatestLtsRelease(releases);
+  } else if (value.startsWith('lts/')) {
+    const codename = value.slice(4);
+    match = releases.find((release) => release.lts && release.lts.toLowerCase() === codename);
+  } else {
+    const prefix = value.replace(/^v/, '');
+    if (semver.validRange(prefix)) {
+      const version = semver.maxSatisfying(releases.map((release) => release.version), prefix);
+      match = version ? findRelease(releases, version) : null;
+    }
+  }
+
+  return match ? match.version : null;
+}
+
+module.exports = {
+  getMirrorUrl,
+  getLocalIndexPath,
+  loadReleaseIndex,
+  loadReleaseSchedule,
+  getLineStatus,
+  getSecurityStatus,
+  getLatestLtsRelease,
+  findRelease,
+  resolveVersionSpec,
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const semver = require('semver');
+const { getNodeVersionDir } = require('./utils');
+
+/**
+ * Whether a Node.js major line is an LTS line.
+ * Uses the release index when available; otherwise even-numbered majors from 4 onwards,
+ * which enter LTS (the newest even major may still be "Current").
+ * @param {number} major
+ * @param {Set<number>} [ltsMajors] majors with at least one LTS release in the release index
+ * @returns {boolean}
+ */
+function isLtsMajor(major, ltsMajors) {
+  if (ltsMajors) return ltsMajors.has(major);
+  return major >= 4 && major % 2 === 0;
+}
+
+/**
+ * When a version was installed, based on its install directory
+ * @param {string} version
+ * @returns {number} epoch ms, 0 if unknown
+ */
+function getVersionInstallTime(version) {
+  const versionDir = getNodeVersionDir(version);
+  if (!versionDir) return 0;
+  try {
+    const stats = fs.statSync(versionDir);
+    return stats.birthtimeMs || stats.mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Decide which installed versions to keep and which to offer for removal.
+ * A version is kept if any rule matches; every matching rule is reported as a reason.
+ * @param {string[]} installedVersions
+ * @param {object} policy
+ * @param {string[]} [policy.keep] explicit versions to keep
+ * @param {string[]} [policy.only] only these versions may be removed
+ * @param {boolean} [policy.keepLtsLatest] keep the newest installed patch of each LTS major
+ * @param {number} [policy.keepRecent] keep the N most recently installed versions
+ * @param {boolean} [policy.keepActive] keep the current and `default` versions
+ * @param {string[]} [policy.keepRanges] keep versions matching any of these semver ranges
+ * @param {Map<string, string[]>} [policy.protect] versions projects rely on -> project directories
+ * @param {object} context
+ * @param {string|null} [context.latestLts]
+ * @param {string|null} [context.currentVersion]
+ * @param {string|null} [context.defaultVersion]
+ * @param {Object<string, number>} [context.installTimes] version -> epoch ms
+ * @param {Set<number>} [context.ltsMajors] LTS majors from the release index
+ * @returns {{keep: {version: string, reasons: string[]}[], remove: string[]}} newest first
+ */
+function computeRetentionPlan(installedVersions, policy = {}, context = {}) {
+  const sorted = installedVersions
+    .filter((version) => semver.valid(version))
+    .sort(semver.rcompare);
+  const reasons = new Map(sorted.map((version) => [version, []]));
+  const addReason = (version, reason) => {
+    if (reasons.has(version)) reasons.get(version).push(reason);
+  };
+
+  if (context.latestLts) {
+    addReason(context.latestLts, 'latest LTS');
+  }
+
+  (policy.keep || []).forEach((version) => addReason(version, '--keep'));
+
+  if (policy.only) {
+    sorted
+      .filter((version) => !policy.only.includes(version))
+      .forEach((version) => addReason(version, 'not in --only'));
+  }
+
+  if (policy.keepLtsLatest) {
+    const seenMajors = new Set();
+    for (const version of sorted) {
+      const major = semver.major(version);
+      if (isLtsMajor(major, context.ltsMajors) && !seenMajors.has(major)) {
+        seenMajors.add(major);
+        addReason(version, `newest patch of LTS line v${major}`);
+      }
+    }
+  }
+
+  if (policy.keepRecent > 0) {
+    const installTimes = context.installTimes || {};
+    [...sorted]
+      .sort((a, b) => (installTimes[b] || 0) - (installTimes[a] || 0))
+      .slice(0, policy.keepRecent)
+      .forEach((version) => addReason(version, `${policy.keepRecent} most recently installed`));
+  }
+
+  if (policy.keepActive) {
+    if (context.currentVersion) addReason(context.currentVersion, 'current');
+    if (context.defaultVersion) addReason(context.defaultVersion, 'default alias');
+  }
+
+  for (const range of policy.keepRanges || []) {
+    sorted
+      .filter((version) => semver.satisfies(version, range))
+      .forEach((version) => addReason(version, `matches ${range}`));
+  }
+
+  if (policy.protect) {
+    policy.protect.forEach((projects, version) =>
+      addReason(version, `needed by ${projects.length} project(s)`)
+    );
+  }
+
+  const keep = [];
+  const remove = [];
+  for (const version of sorted) {
+    const versionReasons = reasons.get(version);
+    if (versionReasons.length > 0) {
+      keep.push({ version, reasons: versionReasons });
+    } else {
+      remove.push(version);
+    }
+  }
+  return { keep, remove };
+}
+
+module.exports = {
+  isLtsMajor,
+  getVersionInstallTime,
+  computeRetentionPlan,
+};
@@ -0,0 +1,93 @@
+const chalk = require('chalk');
+const {
+  readGlobalPackages,
+  uninstallNodeVersion,
+  uninstallGlobalPackages,
+  restoreGlobalPackages,
+} = require('./utils');
+
+/**
+ * Record the state of a migration target before anything is changed,
+ * so a failed migration can be undone with rollbackTarget.
+ * @param {string} version target Node.js version
+ * @param {string[]} installedVersions
+ * @returns {Promise<{version: string, wasInstalled: boolean, packages: object[]}>}
+ *   packages are the target's global packages as returned by readGlobalPackages
+ */
+async function captureTargetState(version, installedVersions) {
+  const wasInstalled = installedVersions.includes(version);
+  let packages = [];
+  if (wasInstalled) {
+    try {
+      packages = await readGlobalPackages(version);
+    } catch {
+      // No global node_modules yet, so there is nothing to restore
+    }
+  }
+  return { version, wasInstalled, packages };
+}
+
+/**
+ * Compare a target's current globals with its recorded state
+ * @param {object[]} before packages from captureTargetState
+ * @param {object[]} after packages read now
+ * @returns {{added: string[], changed: object[]}} added package names, and recorded packages
+ *   that were upgraded, downgraded or removed since
+ */
+function diffTargetPackages(before, after) {
+  const beforeByName = new Map(before.map((pkg) => [pkg.name, pkg]));
+  const afterByName = new Map(after.map((pkg) => [pkg.name, pkg]));
+  const added = after.filter((pkg) => !beforeByName.has(pkg.name)).map((pkg) => pkg.name);
+  const changed = before.filter((pkg) => {
+    const current = afterByName.get(pkg.name);
+    return !current || current.version !== pkg.version || current.source !== pkg.source;
+  });
+  return { added, changed };
+}
+
+/**
+ * Put a migration target back into its recorded state: uninstall the Node.js version
+ * if the migration installed it, otherwise remove the packages it added and reinstall
+ * the recorded versions of packages it changed.
+ * @param {{version: string, wasInstalled: boolean, packages: object[]}} state from captureTargetState
+ * @returns {Promise<boolean>} true when the target was fully restored
+ */
+async function rollbackTarget(state) {
+  const { version } = state;
+  if (!state.wasInstalled) {
+    console.log(chalk.blue(`Uninstalling Node.js ${version}, which this migration installed...`));
+    return uninstallNodeVersion(version);
+  }
+
+  let current;
+  try {
+    current = await readGlobalPackages(version);
+  } catch (error) {
+    console.error(chalk.red(`Could not read global packages of Node.js ${version}:`), error.message);
+    return false;
+  }
+  const { added, changed } = diffTargetPackages(state.packages, current);
+  if (added.length === 0 && changed.length === 0) {
+    console.log(chalk.gray(`Global packages of Node.js ${version} are unchanged.`));
+    return true;
+  }
+
+  let ok = true;
+  if (added.length > 0) {
+    console.log(chalk.blue(`Removing ${added.length} package(s) added to Node.js ${version}...`));
+    ok = (await uninstallGlobalPackages(added, version)) && ok;
+  }
+  if (changed.length > 0) {
+    console.log(chalk.blue(`Reinstalling ${changed.length} previous package version(s) on Node.js ${version}...`));
+    const { failed } = await restoreGlobalPackages(changed, version, 'exact');
+    failed.forEach((spec) => console.log(chalk.red(`✖ Failed to restore ${spec}`)));
+    ok = failed.length === 0 && ok;
+  }
+  return ok;
+}
+
+module.exports = {
+  captureTargetState,
+  diffTargetPackages,
+  rollbackTarget,
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  getDataDir,
+  getGlobalModulesDir,
+  readGlobalPackages,
+  mapWithConcurrency,
+} = require('./utils');
+
+const DEFAULT_SCAN_CONCURRENCY = 4;
+
+const CACHE_SCHEMA_VERSION = 5;
+
+/**
+ * Location of the per-version global package cache
+ * @returns {string}
+ */
+function getScanCachePath() {
+  return path.join(getDataDir(), 'cache', 'global-packages.json');
+}
+
+function readScanCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(getScanCachePath(), 'utf-8'));
+    if (cache.schemaVersion === CACHE_SCHEMA_VERSION && cache.versions) {
+      return cache;
+    }
+  } catch {
+    // Missing or corrupt cache, start fresh
+  }
+  return { schemaVersion: CACHE_SCHEMA_VERSION, versions: {} };
+}
+
+function writeScanCache(cache) {
+  const cachePath = getScanCachePath();
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache));
+}
+
+/**
+ * Cache key for a version: the newest mtime of its global node_modules and any @scope folders.
+ * Installing, updating or removing a global package touches one of these directories.
+ * @param {string} version
+ * @returns {Promise<number|null>} mtime in ms, or null if the directory is missing
+ */
+async function getGlobalModulesMtime(version) {
+  const modulesDir = getGlobalModulesDir(version);
+  if (!modulesDir) return null;
+  try {
+    let mtime = (await fs.promises.stat(modulesDir)).mtimeMs;
+    for (const entry of await fs.promises.readdir(modulesDir)) {
+      if (entry.startsWith('@')) {
+        const { mtimeMs } = await fs.promises.stat(path.join(modulesDir, entry));
+        mtime = Math.max(mtime, mtimeMs);
+      }
+    }
+    return mtime;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Scan global packages for several Node.js versions concurrently,
+ * reusing cached results for versions whose global node_modules has not changed.
+ * @param {string[]} versions
+ * @param {{concurrency?: number, refresh?: boolean}} [options] refresh ignores the cache
+ * @returns {Promise<{version: string, packages: object[], cached: boolean, error: string|null}[]>} in input order
+ */
+async function scanGlobalPackages(versions, options = {}) {
+  const { concurrency = DEFAULT_SCAN_CONCURRENCY, refresh = false } = options;
+  const cache = readScanCache();
+
+  const results = await mapWithConcurrency(versions, concurrency, async (version) => {
+    const mtime = await getGlobalModulesMtime(version);
+    const entry = cache.versions[version];
+    if (!refresh && mtime !== null && entry && entry.mtimeMs === mtime) {
+      return { version, packages: entry.packages, cached: true, error: null };
+    }
+
+    try {
+      // Packages that haven't changed keep their native addon details
+      const packages = await readGlobalPackages(version, undefined, { previous: entry ? entry.packages : [] });
+      if (mtime !== null) {
+        cache.versions[version] = { mtimeMs: mtime, packages };
+      }
+      return { version, packages, cached: false, error: null };
+    } catch (error) {
+      delete cache.versions[version];
+      return { version, packages: [], cached: false, error: error.message };
+    }
+  });
+
+  try {
+    writeScanCache(cache);
+  } catch {
+    // The cache is only an optimisation
+  }
+  return results;
+}
+
+module.exports = {
+  DEFAULT_SCAN_CONCURRENCY,
+  getScanCachePath,
+  scanGlobalPackages,
+};
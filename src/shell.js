@@ -0,0 +1,123 @@
+/**
+ * Quoting and input validation for commands that have to go through a shell
+ * (nvm is a shell function, nvm-windows chains `nvm use` and npm in cmd.exe).
+ */
+
+/** Characters cmd.exe treats specially, escaped with `^` */
+const CMD_META_CHARS = /([()\][%!^"`<>&|;, *?])/g;
+
+/** Package name rules of the npm registry, allowing legacy mixed-case names */
+const PACKAGE_NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+
+/** Specs that install from somewhere other than the registry: git, URLs, local paths */
+const NON_REGISTRY_SPEC_PATTERN = /^(git\+|git:|github:|gitlab:|bitbucket:|file:|https?:|\.{1,2}[\\/]|[\\/]|~[\\/]|[a-z]:[\\/])/i;
+
+/**
+ * Quote one argument for a POSIX shell
+ * @param {string} arg
+ * @returns {string} e.g. 'it'\''s'
+ */
+function quotePosixArg(arg) {
+  return `'${String(arg).replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Quote one argument for cmd.exe. The argument is first quoted for the
+ * program's own command-line parser, then cmd.exe metacharacters are escaped.
+ * Batch files (npm.cmd, npx.cmd) are parsed by cmd.exe a second time, so their
+ * arguments are escaped twice.
+ * @param {string} arg
+ * @param {{batchFile?: boolean}} [options]
+ * @returns {string}
+ */
+function quoteWindowsArg(arg, options = {}) {
+  let quoted = String(arg)
+    .replace(/(\\*)"/g, '$1$1\\"')
+    .replace(/(\\*)$/, '$1$1');
+  quoted = `"${quoted}"`.replace(CMD_META_CHARS, '^$1');
+  return options.batchFile ? quoted.replace(CMD_META_CHARS, '^$1') : quoted;
+}
+
+/**
+ * Join a command and its arguments into a command line for the platform's shell
+ * @param {string[]} argv command followed by its arguments
+ * @param {{platform?: string, batchFile?: boolean}} [options]
+ * @returns {string}
+ */
+function toCommandLine(argv, options = {}) {
+  const { platform = process.platform, batchFile = false } = options;
+  if (platform === 'win32') {
+    const [command, ...args] = argv;
+    return [command, ...args.map((arg) => quoteWindowsArg(arg, { batchFile }))].join(' ');
+  }
+  return argv.map(quotePosixArg).join(' ');
+}
+
+/**
+ * Whether a value is a Node.js version the version managers accept:
+ * '20', '20.11', 'v20.11.0', 'lts/*', 'lts/iron', 'node' or 'latest'
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidNodeVersion(value) {
+  return (
+    typeof value === 'string' &&
+    (/^v?\d+(\.\d+){0,2}$/.test(value) || /^lts\/(\*|[a-z]+)$/i.test(value) || /^(node|latest|stable)$/.test(value))
+  );
+}
+
+/**
+ * @param {string} version
+ * @returns {string} the version
+ * @throws {Error} when the version is not a valid Node.js version
+ */
+function assertValidNodeVersion(version) {
+  if (!isValidNodeVersion(version)) {
+    throw new Error(`Invalid Node.js version '${version}'`);
+  }
+  return version;
+}
+
+/**
+ * Split a registry package spec into name and version or range
+ * @param {string} spec e.g. 'typescript', 'typescript@5' or '@scope/pkg@1.2'
+ * @returns {{name: string, range: string|null}}
+ */
+function splitPackageSpec(spec) {
+  const versionAt = spec.indexOf('@', 1);
+  return versionAt === -1
+    ? { name: spec, range: null }
+    : { name: spec.slice(0, versionAt), range: spec.slice(versionAt + 1) || null };
+}
+
+/**
+ * Check a package spec before it is handed to npm: a registry name with an optional
+ * version or range ('typescript', '@scope/pkg@1.2'), or a git, URL or path spec.
+ * Specs may not start with '-', so they can't be read as npm options.
+ * @param {string} spec
+ * @returns {string} the spec
+ * @throws {Error} when the spec is invalid
+ */
+function assertValidPackageSpec(spec) {
+  if (typeof spec !== 'string' || !spec.trim() || spec.startsWith('-') || /[\0-\x1f\x7f]/.test(spec)) {
+    throw new Error(`Invalid package spec '${spec}'`);
+  }
+  if (NON_REGISTRY_SPEC_PATTERN.test(spec)) {
+    return spec;
+  }
+  const { name } = splitPackageSpec(spec);
+  if (!PACKAGE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid package name '${name}'`);
+  }
+  return spec;
+}
+
+module.exports = {
+  quotePosixArg,
+  quoteWindowsArg,
+  toCommandLine,
+  isValidNodeVersion,
+  assertValidNodeVersion,
+  splitPackageSpec,
+  assertValidPackageSpec,
+};
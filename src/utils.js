@@ -1,9 +1,22 @@
+const fs = require('fs');
 const execa = require('execa');
 const chalk = require('chalk');
 const ora = require('ora');
 const os = require('os');
 const path = require('path');
 const inquirer = require('inquirer');
+const semver = require('semver');
+const { getBackend } = require('./backends');
+const { getNvmDir, resolveNvmAlias } = require('./backends/nvm');
+const {
+  quotePosixArg,
+  quoteWindowsArg,
+  toCommandLine,
+  isValidNodeVersion,
+  assertValidNodeVersion,
+  assertValidPackageSpec,
+} = require('./shell');
+const { recordOperation } = require('./history');
 
 /**
  * Normalize user input (lowercase and trim spaces)
@@ -14,123 +27,39 @@ function normalizeInput(input) {
   return input.toString().toLowerCase().trim();
 }
 
-/**
- * Get installed Node.js versions via `nvm ls`
- * @returns {Promise<string[]>} versions
- */
 // --- Platform helpers ---
 function isWindows() {
   return process.platform === 'win32';
 }
 
-function getNvmDir() {
-  if (isWindows()) {
-    return process.env.NVM_HOME || path.join(os.homedir(), 'AppData', 'Roaming', 'nvm');
-  } else {
-    return process.env.NVM_DIR || `${process.env.HOME}/.nvm`;
+/**
+ * Per-user data directory for nvm-manager state (manifests, caches, history)
+ * Honours NVM_MANAGER_HOME, then XDG_DATA_HOME / APPDATA
+ * @returns {string} absolute directory path (not created)
+ */
+function getDataDir() {
+  if (process.env.NVM_MANAGER_HOME) {
+    return process.env.NVM_MANAGER_HOME;
   }
-}
-
-function getNvmSourceCmd() {
-  const nvmDir = getNvmDir();
-  return `. "${nvmDir}/nvm.sh"`;
-}
-
-async function runNvmCmd(args, opts = {}) {
   if (isWindows()) {
-    return execa("nvm", args, { shell: true, ...opts });
-  } else {
-    // Source nvm and run the command in a shell session
-    const nvmDir = getNvmDir();
-    const sourceNvm = getNvmSourceCmd();
-    // Build the command string
-    const cmd = `export NVM_DIR=\"${nvmDir}\"; ${sourceNvm}; nvm ${args
-      .map((a) => `'${a}'`)
-      .join(" ")}`;
-    return execa.command(cmd, { shell: true, ...opts });
+    const appData =
+      process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming");
+    return path.join(appData, "nvm-manager");
   }
+  const dataHome =
+    process.env.XDG_DATA_HOME || path.join(os.homedir(), ".local", "share");
+  return path.join(dataHome, "nvm-manager");
 }
+
 // --- Main utils ---
-async function getInstalledNodeVersions() {
+/**
+ * Get installed Node.js versions from the version manager's install directory
+ * @param {object} [backend] version manager backend, defaults to the active one
+ * @returns {Promise<string[]>} versions
+ */
+async function getInstalledNodeVersions(backend = getBackend()) {
   try {
-    const nvmDir = getNvmDir();
-    let versions = [];
-    if (isWindows()) {
-      // Windows: nvm-windows stores versions in NVM_HOME root
-      const fs = require("fs");
-      if (fs.existsSync(nvmDir)) {
-        versions = fs
-          .readdirSync(nvmDir)
-          .filter(
-            (name) =>
-              /^v?\d+\.\d+\.\d+$/.test(name) &&
-              fs.statSync(path.join(nvmDir, name)).isDirectory()
-          )
-          .map((name) => name.replace(/^v/, ""));
-        if (versions.length === 0) {
-          console.log(
-            chalk.yellow(`[nvm-manager] No versions found in ${nvmDir}`)
-          );
-        }
-      } else {
-        console.log(
-          chalk.yellow(
-            `[nvm-manager] NVM_HOME directory ${nvmDir} does not exist`
-          )
-        );
-      }
-    } else {
-      // Unix: $NVM_DIR/versions/node/* (standard), fallback to $NVM_DIR/* (legacy)
-      const fs = require("fs");
-      let nodeDir = path.join(nvmDir, "versions", "node");
-      if (fs.existsSync(nodeDir)) {
-        // Standard nvm >=0.33.0 layout
-        versions = fs
-          .readdirSync(nodeDir)
-          .filter(
-            (name) =>
-              /^v?\d+\.\d+\.\d+$/.test(name) &&
-              fs.statSync(path.join(nodeDir, name)).isDirectory()
-          )
-          .map((name) => name.replace(/^v/, ""));
-        if (versions.length === 0) {
-          console.log(
-            chalk.yellow(`[nvm-manager] No versions found in ${nodeDir}`)
-          );
-        }
-      } else {
-        // Fallback: legacy layout, versions directly under $NVM_DIR
-        nodeDir = nvmDir;
-        if (fs.existsSync(nodeDir)) {
-          versions = fs
-            .readdirSync(nodeDir)
-            .filter(
-              (name) =>
-                /^v?\d+\.\d+\.\d+$/.test(name) &&
-                fs.statSync(path.join(nodeDir, name)).isDirectory()
-            )
-            .map((name) => name.replace(/^v/, ""));
-          if (versions.length === 0) {
-            console.log(
-              chalk.yellow(
-                `[nvm-manager] No versions found in fallback ${nodeDir}`
-              )
-            );
-          }
-        } else {
-          console.log(
-            chalk.yellow(
-              `[nvm-manager] Neither ${path.join(
-                nvmDir,
-                "versions",
-                "node"
-              )} nor ${nvmDir} exist`
-            )
-          );
-        }
-      }
-    }
-    return versions;
+    return await backend.listInstalled();
   } catch (error) {
     console.error(
       chalk.red("Error scanning Node.js version directories:"),
@@ -141,31 +70,16 @@ async function getInstalledNodeVersions() {
 }
 
 /**
- * Get latest stable LTS Node.js version (nvm-windows style detection)
+ * Get latest stable LTS Node.js version from the release index
+ * (NVM_NODEJS_ORG_MIRROR or a local index file, see release-index.js)
  * @returns {Promise<string|null>} version string like '24.4.1' or null on failure
  */
 async function getLatestLtsVersion() {
   try {
-    let stdout;
-    if (isWindows()) {
-      ({ stdout } = await runNvmCmd(["list", "available"]));
-      const ltsLine = stdout.split("\n").find((line) => line.includes("LTS:"));
-      if (ltsLine) {
-        const match = ltsLine.match(/\d+\.\d+\.\d+/);
-        if (match) return match[0];
-      }
-    } else {
-      ({ stdout } = await runNvmCmd(["ls-remote", "--lts"]));
-      const lines = stdout
-        .split("\n")
-        .filter((line) => line.trim().startsWith("v"));
-      if (lines.length) {
-        const last = lines[lines.length - 1];
-        const match = last.match(/\d+\.\d+\.\d+/);
-        if (match) return match[0];
-      }
-    }
-    throw new Error("Could not detect latest LTS version");
+    const { loadReleaseIndex, getLatestLtsRelease } = require("./release-index");
+    const release = getLatestLtsRelease(await loadReleaseIndex());
+    if (release) return release.version;
+    throw new Error("Release index does not contain any LTS release");
   } catch (error) {
     console.error(
       chalk.red("Error getting latest LTS version:"),
@@ -176,14 +90,78 @@ async function getLatestLtsVersion() {
 }
 
 /**
- * Switch to a specific Node.js version via `nvm use`
+ * Resolve a user-supplied Node.js version spec ('20', 'lts/iron', 'lts/*', '20.11.0')
+ * to an exact version. Exact installed versions are returned as-is; anything else
+ * goes through the release index.
+ * @param {string} spec
+ * @param {string[]} [installedVersions]
+ * @returns {Promise<string|null>} exact version or null if it cannot be resolved
+ */
+async function resolveNodeVersion(spec, installedVersions = []) {
+  const bare = spec.trim().replace(/^v/, "");
+  if (installedVersions.includes(bare)) return bare;
+  try {
+    const { loadReleaseIndex, resolveVersionSpec } = require("./release-index");
+    return resolveVersionSpec(spec, await loadReleaseIndex());
+  } catch (error) {
+    console.error(
+      chalk.red(`Error resolving Node.js version '${spec}':`),
+      error.message
+    );
+    return semver.valid(bare) ? bare : null;
+  }
+}
+
+/**
+ * Match a requested version against installed versions only, the way nvm / engines would pick one.
+ * Exact versions, version prefixes ("18", "v18.20") and ranges ("^18.12") resolve to the newest
+ * satisfying install; aliases ("lts/*", "node") are resolved through nvm's alias files.
+ * @param {string} requested
+ * @param {string[]} installedVersions
+ * @returns {string|null} installed version or null if none satisfies the request
+ */
+function matchInstalledVersion(requested, installedVersions) {
+  const value = requested.trim();
+  const prefix = value.replace(/^v/, '');
+
+  if (installedVersions.includes(prefix)) return prefix;
+  if (/^\d+(\.\d+){0,2}$/.test(prefix)) {
+    return semver.maxSatisfying(installedVersions, prefix);
+  }
+  if (semver.validRange(value)) {
+    return semver.maxSatisfying(installedVersions, value);
+  }
+  return resolveNvmAlias(value, installedVersions);
+}
+
+/**
+ * Resolve a comma-separated `--versions` list against installed versions, see matchInstalledVersion
+ * @param {string|undefined} value e.g. "18,20.11.0" or "all"
+ * @param {string[]} installedVersions
+ * @returns {{versions: string[], unknown: string[]}} every installed version when value is empty or "all";
+ *   unknown lists the entries no installed version matches
+ */
+function selectInstalledVersions(value, installedVersions) {
+  const requested = parseListOption(value, { versions: true });
+  if (!requested || requested.includes("all")) {
+    return { versions: installedVersions, unknown: [] };
+  }
+  const matched = requested.map((spec) => matchInstalledVersion(spec, installedVersions));
+  return {
+    versions: [...new Set(matched.filter(Boolean))],
+    unknown: requested.filter((spec, index) => !matched[index]),
+  };
+}
+
+/**
+ * Switch to a specific Node.js version with the version manager (`nvm use`)
  * @param {string} version
  * @returns {Promise<boolean>} success
  */
 async function switchNodeVersion(version) {
   const spinner = ora(`Switching to Node.js version ${version}...`).start();
   try {
-    await runNvmCmd(["use", version]);
+    await getBackend().use(assertValidNodeVersion(version));
     spinner.succeed(`Switched to Node.js version ${version}`);
     return true;
   } catch (error) {
@@ -194,33 +172,37 @@ async function switchNodeVersion(version) {
 }
 
 /**
- * Install specific Node.js version via `nvm install`
+ * Install specific Node.js version with the version manager (`nvm install`)
  * @param {string} version
  * @returns {Promise<boolean>} success
  */
 async function installNodeVersion(version) {
   const spinner = ora(`Installing Node.js version ${version}...`).start();
   try {
-    await runNvmCmd(["install", version]);
+    await getBackend().install(assertValidNodeVersion(version));
     spinner.succeed(`Installed Node.js version ${version}`);
+    recordOperation({ action: "node-install", node: version, success: true });
     return true;
   } catch (error) {
     spinner.fail(`Failed to install Node.js version ${version}`);
     console.error(chalk.red("Error:"), error.message);
+    recordOperation({ action: "node-install", node: version, success: false, error: error.message });
     return false;
   }
 }
 
 /**
- * Uninstall specific Node.js version via `nvm uninstall`
+ * Uninstall specific Node.js version with the version manager (`nvm uninstall`)
  * @param {string} version
  * @returns {Promise<boolean>} success
  */
 async function uninstallNodeVersion(version) {
   try {
-    await runNvmCmd(["uninstall", version]);
+    await getBackend().uninstall(assertValidNodeVersion(version));
+    recordOperation({ action: "node-uninstall", node: version, success: true });
     return true;
   } catch (error) {
+    recordOperation({ action: "node-uninstall", node: version, success: false, error: error.message });
     console.error(
       chalk.red(`Failed to uninstall Node.js version ${version}:`),
       error.message
@@ -235,9 +217,7 @@ async function uninstallNodeVersion(version) {
  */
 async function getGlobalPackages() {
   try {
-    const { stdout } = await execa("npm", ["ls", "-g", "--depth=0", "--json"], {
-      shell: true,
-    });
+    const { stdout } = await execa("npm", ["ls", "-g", "--depth=0", "--json"]);
     const data = JSON.parse(stdout);
     if (data.dependencies) {
       return Object.keys(data.dependencies).filter((pkg) => pkg !== "npm");
@@ -250,48 +230,353 @@ async function getGlobalPackages() {
 }
 
 /**
- * Get global npm packages for a specific Node.js version.
- * Switches to that version temporarily and then reverts.
- * @param {string} version target version (e.g. '18.12.1')
- * @returns {Promise<string[]>} list of global packages excluding 'npm'
+ * Classify where a global package was installed from, based on the
+ * `resolved` field reported by npm. URLs on a configured registry's host are registry installs.
+ * @param {string} [resolved]
+ * @param {{link?: boolean}} [options] link: the package is a symlink created by `npm link`
+ * @returns {'registry'|'git'|'tarball'|'file'|'link'}
  */
-async function getGlobalPackagesForVersion(version) {
-  const isWindows = process.platform === "win32";
-  console.log(
-    chalk.cyan(`Getting global packages for Node.js version ${version}...`)
-  );
+function getPackageSource(resolved, options = {}) {
+  if (options.link) return "link";
+  if (!resolved) return "registry";
+  if (/^(git\+|git:|github:|gitlab:|bitbucket:)/.test(resolved)) return "git";
+  if (resolved.startsWith("file:") || path.isAbsolute(resolved)) return "file";
+  if (/^https?:/.test(resolved)) {
+    const { isRegistryUrl } = require("./registry");
+    return isRegistryUrl(resolved) ? "registry" : "tarball";
+  }
+  return "registry";
+}
+
+/**
+ * Resolve the install directory of a Node.js version managed by the version manager
+ * @param {string} version e.g. '18.12.1'
+ * @param {object} [backend] defaults to the active backend
+ * @returns {string|null} directory path or null if the version is not on disk
+ */
+function getNodeVersionDir(version, backend = getBackend()) {
+  return backend.getVersionDir(version);
+}
+
+/**
+ * Resolve the global `node_modules` directory of a Node.js version
+ * (`lib/node_modules` on Unix, `node_modules` on Windows)
+ * @param {string} version
+ * @param {object} [backend] defaults to the active backend
+ * @returns {string|null} directory path or null if the version is not on disk
+ *   or the backend keeps no per-version node_modules (Volta)
+ */
+function getGlobalModulesDir(version, backend = getBackend()) {
+  return backend.getGlobalModulesDir(version);
+}
+
+/**
+ * Read and parse a package.json, returning null when missing or malformed
+ * @param {string} packageDir
+ * @returns {Promise<object|null>}
+ */
+async function readPackageJson(packageDir) {
   try {
-    let stdout;
-    const major = parseInt(version.split(".")[0], 10);
-    if (isWindows) {
-      // Run all commands in a single shell session to ensure correct version
-      let cmd = `nvm use ${version} > NUL && `;
-      if (major >= 16) {
-        cmd += "npm install -g corepack > NUL 2>&1 && ";
+    return JSON.parse(
+      await fs.promises.readFile(path.join(packageDir, "package.json"), "utf-8")
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize the `bin` field of a package.json to a name -> path map
+ * @param {object} pkgJson
+ * @returns {Object<string, string>}
+ */
+function getPackageBins(pkgJson) {
+  if (typeof pkgJson.bin === "string") {
+    return { [pkgJson.name.replace(/^@[^/]+\//, "")]: pkgJson.bin };
+  }
+  return pkgJson.bin && typeof pkgJson.bin === "object" ? pkgJson.bin : {};
+}
+
+/**
+ * List package directories in a node_modules folder, descending into `@scope` folders
+ * @param {string} modulesDir
+ * @returns {Promise<string[]>} package directory paths
+ */
+async function listPackageDirs(modulesDir) {
+  const dirs = [];
+  for (const entry of await fs.promises.readdir(modulesDir)) {
+    if (entry.startsWith(".")) continue;
+    const entryPath = path.join(modulesDir, entry);
+    if (entry.startsWith("@")) {
+      for (const scoped of await fs.promises.readdir(entryPath)) {
+        if (!scoped.startsWith(".")) dirs.push(path.join(entryPath, scoped));
       }
-      cmd += "npm ls -g --depth=0 --json";
-      ({ stdout } = await execa.command(cmd, { shell: true }));
     } else {
-      // Unix: run all commands in a single shell session
-      const nvmDir = getNvmDir();
-      let cmd = `export NVM_DIR=\"${nvmDir}\"; . \"${nvmDir}/nvm.sh\"; nvm use ${version} > /dev/null;`;
-      if (major >= 16) {
-        cmd += " npm install -g corepack > /dev/null 2>&1;";
+      dirs.push(entryPath);
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Read the `packages` section of npm's hidden lockfile (npm 7+), which records
+ * where every global package was resolved from and whether it is a link
+ * @param {string} modulesDir global node_modules directory
+ * @returns {Promise<Object<string, {resolved?: string, link?: boolean}>>} keyed by 'node_modules/<name>'
+ */
+async function readHiddenLockfile(modulesDir) {
+  try {
+    const lockfile = JSON.parse(
+      await fs.promises.readFile(path.join(modulesDir, ".package-lock.json"), "utf-8")
+    );
+    return lockfile.packages || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Work out where a global package came from: a symlink is an `npm link`, otherwise the
+ * hidden lockfile entry or the package.json `_resolved` field (npm <= 6) is classified.
+ * Local paths are made absolute so they still resolve from another Node.js version.
+ * @param {string} packageDir
+ * @param {object} pkgJson
+ * @param {{resolved?: string, link?: boolean}} lockEntry
+ * @param {string|null} lockRoot directory that lockfile paths are relative to
+ * @returns {Promise<{source: string, resolved: string|null}>} resolved is null for registry packages
+ */
+async function getPackageOrigin(packageDir, pkgJson, lockEntry, lockRoot) {
+  const stats = await fs.promises.lstat(packageDir);
+  if (stats.isSymbolicLink()) {
+    return { source: "link", resolved: await fs.promises.realpath(packageDir) };
+  }
+
+  let resolved = lockEntry.resolved || pkgJson._resolved || null;
+  if (resolved && lockRoot && lockEntry.link) {
+    return { source: "link", resolved: path.resolve(lockRoot, resolved) };
+  }
+  if (resolved && lockRoot && resolved.startsWith("file:")) {
+    resolved = `file:${path.resolve(lockRoot, resolved.slice("file:".length))}`;
+  }
+  const source = getPackageSource(resolved);
+  return { source, resolved: source === "registry" ? null : resolved };
+}
+
+/** Directories of a native package where node-gyp, prebuildify and node-pre-gyp put compiled addons */
+const NATIVE_ADDON_DIRS = ["build", "prebuilds", path.join("lib", "binding")];
+
+let muslRuntime = null;
+
+/**
+ * Whether this Node.js runs on musl libc (Alpine) rather than glibc
+ * @returns {boolean}
+ */
+function isMusl() {
+  if (muslRuntime === null) {
+    muslRuntime = process.platform === "linux" && !process.report.getReport().header.glibcVersionRuntime;
+  }
+  return muslRuntime;
+}
+
+/**
+ * Whether a file or directory below `prebuilds/` is a prebuilt binary for this platform, libc and Node.js,
+ * e.g. `linux-x64/node.napi.glibc.node` on glibc but not `node.napi.musl.node` or `electron.abi98.node`
+ * @param {string} name
+ * @param {boolean} topLevel directly below `prebuilds/`, where directories name the platform
+ * @returns {boolean}
+ */
+function isMatchingPrebuild(name, topLevel) {
+  if (topLevel && !name.startsWith(`${process.platform}-${process.arch}`)) return false;
+  if (/electron/.test(name)) return false;
+  return isMusl() ? !/glibc/.test(name) : !/musl/.test(name);
+}
+
+/**
+ * Whether a package shows signs of native bindings: a binding.gyp, `gypfile` or node-pre-gyp `binary` field,
+ * an install script that builds or downloads an addon, or a compiled addon as its entry point
+ * @param {string} packageDir
+ * @param {object} pkgJson
+ * @returns {boolean}
+ */
+function hasNativeSigns(packageDir, pkgJson) {
+  const scripts = pkgJson.scripts || {};
+  const installScripts = [scripts.preinstall, scripts.install, scripts.postinstall].filter(Boolean).join(" ");
+  return (
+    Boolean(pkgJson.gypfile || pkgJson.binary) ||
+    /node-gyp|prebuild|node-pre-gyp/.test(installScripts) ||
+    /\.node$/.test(pkgJson.main || "") ||
+    fs.existsSync(path.join(packageDir, "binding.gyp"))
+  );
+}
+
+/**
+ * Find the native modules in a package and its dependencies, and their compiled addons (`.node` files).
+ * Only packages with native signs (see hasNativeSigns) are searched, and only their build directories,
+ * so a scan doesn't read every file of large CLIs. Prebuilt binaries for other platforms, libcs
+ * or Electron and node-gyp intermediates are left out.
+ * @param {string} packageDir
+ * @returns {Promise<{addons: string[], modules: string[], gyp: boolean}>} addon and native module paths
+ *   relative to packageDir ('' for the package itself); gyp is true when a module has a binding.gyp, built or not
+ */
+async function findNativeAddons(packageDir) {
+  const addons = [];
+  const modules = [];
+  let gyp = false;
+
+  const walk = async (dir, inPrebuilds) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const topLevel = path.basename(dir) === "prebuilds";
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if ((inPrebuilds || topLevel) && !isMatchingPrebuild(entry.name, topLevel)) continue;
+      if (entry.isDirectory()) {
+        if (entry.name === "obj.target") continue;
+        await walk(entryPath, inPrebuilds || topLevel);
+      } else if (entry.isFile() && entry.name.endsWith(".node")) {
+        addons.push(path.relative(packageDir, entryPath));
       }
-      cmd += " npm ls -g --depth=0 --json";
-      ({ stdout } = await execa.command(cmd, { shell: true }));
     }
-    const data = JSON.parse(stdout);
-    const pkgs = data.dependencies
-      ? Object.keys(data.dependencies).filter((pkg) => pkg !== "npm")
-      : [];
-    if (major >= 16 && !pkgs.includes("corepack")) {
-      console.log(
-        chalk.yellow(
-          `[nvm-manager] Warning: corepack missing from global packages for Node.js ${version}`
-        )
-      );
+  };
+
+  const visit = async (dir) => {
+    const pkgJson = await readPackageJson(dir);
+    if (pkgJson && hasNativeSigns(dir, pkgJson)) {
+      modules.push(path.relative(packageDir, dir));
+      if (fs.existsSync(path.join(dir, "binding.gyp"))) gyp = true;
+      if (/\.node$/.test(pkgJson.main || "") && fs.existsSync(path.join(dir, pkgJson.main))) {
+        addons.push(path.relative(packageDir, path.join(dir, pkgJson.main)));
+      }
+      for (const addonDir of NATIVE_ADDON_DIRS) {
+        await walk(path.join(dir, addonDir), false);
+      }
+    }
+    let dependencyDirs = [];
+    try {
+      dependencyDirs = await listPackageDirs(path.join(dir, "node_modules"));
+    } catch {
+      // No dependencies of its own
     }
+    for (const dependencyDir of dependencyDirs) {
+      // Linked dependencies are checked where they live
+      const stats = await fs.promises.lstat(dependencyDir).catch(() => null);
+      if (stats && stats.isDirectory()) await visit(dependencyDir);
+    }
+  };
+  await visit(packageDir);
+  return { addons: [...new Set(addons)].sort(), modules: modules.sort(), gyp };
+}
+
+/**
+ * ABI (`process.versions.modules`, NODE_MODULE_VERSION) of a Node.js version,
+ * read from the headers installed with it
+ * @param {string} version
+ * @param {object} [backend] defaults to the active backend
+ * @returns {string|null} e.g. '108', null when the headers are missing
+ */
+function getNodeAbi(version, backend = getBackend()) {
+  if (version.replace(/^v/, "") === process.versions.node) {
+    return process.versions.modules;
+  }
+  const versionDir = getNodeVersionDir(version, backend);
+  if (!versionDir) return null;
+  try {
+    const header = fs.readFileSync(path.join(versionDir, "include", "node", "node_version.h"), "utf-8");
+    const match = header.match(/#define\s+NODE_MODULE_VERSION\s+(\d+)/);
+    return match ? match[1] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the global packages of a Node.js version from its global `node_modules`.
+ * Unlike getGlobalPackageDetailsForVersion this does not log and throws on failure.
+ * @param {string} version
+ * @param {object} [backend] defaults to the active backend
+ * @param {{native?: boolean, previous?: object[]}} [options] native: false skips native addon detection;
+ *   previous: packages from an earlier scan, whose native details are reused while name, version and origin match
+ * @returns {Promise<{name: string, version: string|null, source: string, resolved: string|null, bin: Object<string, string>,
+ *   native: {abi: string|null, addons: string[]}|null}[]>}
+ *   packages excluding 'npm'; resolved is the git URL, tarball, local path or link target of non-registry packages;
+ *   native lists the compiled addons of packages with native bindings and the ABI they were built for
+ */
+async function readGlobalPackages(version, backend = getBackend(), options = {}) {
+  const { native: detectNative = true, previous = [] } = options;
+  const previousByName = new Map(previous.map((pkg) => [pkg.name, pkg]));
+  let packageDirs;
+  let modulesDir = null;
+  if (backend.listGlobalPackageDirs) {
+    packageDirs = await backend.listGlobalPackageDirs(version);
+  } else {
+    modulesDir = getGlobalModulesDir(version, backend);
+    if (!modulesDir || !fs.existsSync(modulesDir)) {
+      throw new Error(`global node_modules directory not found for ${version}`);
+    }
+    packageDirs = await listPackageDirs(modulesDir);
+  }
+  const lockPackages = modulesDir ? await readHiddenLockfile(modulesDir) : {};
+  const lockRoot = modulesDir ? path.dirname(modulesDir) : null;
+  const abi = getNodeAbi(version, backend);
+
+  const packages = await Promise.all(
+    packageDirs.map(async (packageDir) => {
+      const pkgJson = await readPackageJson(packageDir);
+      if (!pkgJson || !pkgJson.name || pkgJson.name === "npm") return null;
+      const lockKey = modulesDir
+        ? `node_modules/${path.relative(modulesDir, packageDir).split(path.sep).join("/")}`
+        : null;
+      const { source, resolved } = await getPackageOrigin(
+        packageDir,
+        pkgJson,
+        (lockKey && lockPackages[lockKey]) || {},
+        lockRoot
+      );
+      const cached = previousByName.get(pkgJson.name);
+      let native = null;
+      if (
+        cached &&
+        cached.native !== undefined &&
+        cached.version === (pkgJson.version || null) &&
+        cached.resolved === resolved
+      ) {
+        ({ native } = cached);
+      } else if (detectNative) {
+        const { addons, gyp } = await findNativeAddons(packageDir);
+        native = addons.length > 0 || gyp ? { abi, addons } : null;
+      }
+      return {
+        name: pkgJson.name,
+        version: pkgJson.version || null,
+        source,
+        resolved,
+        bin: getPackageBins(pkgJson),
+        native,
+      };
+    })
+  );
+  return packages
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get global npm packages with their installed versions for a specific
+ * Node.js version by reading the version's global `node_modules` from disk.
+ * @param {string} version target version (e.g. '18.12.1')
+ * @param {object} [backend] version manager holding the version, defaults to the active one
+ * @returns {Promise<{name: string, version: string|null, source: string, bin: Object<string, string>}[]>} packages excluding 'npm'
+ */
+async function getGlobalPackageDetailsForVersion(version, backend = getBackend()) {
+  console.log(
+    chalk.cyan(`Getting global packages for Node.js version ${version}...`)
+  );
+  try {
+    const pkgs = await readGlobalPackages(version, backend);
     console.log(
       chalk.green(
         `Found ${pkgs.length} global package(s) for version ${version}`
@@ -309,21 +594,30 @@ async function getGlobalPackagesForVersion(version) {
 }
 
 /**
- * Get current active Node.js version by running `nvm current` or fallback to `node -v`
+ * Get global npm package names for a specific Node.js version.
+ * @param {string} version target version (e.g. '18.12.1')
+ * @returns {Promise<string[]>} list of global packages excluding 'npm'
+ */
+async function getGlobalPackagesForVersion(version) {
+  const pkgs = await getGlobalPackageDetailsForVersion(version);
+  return pkgs.map((pkg) => pkg.name);
+}
+
+/**
+ * Get current active Node.js version from the version manager (`nvm current`) or fallback to `node -v`
  * @returns {Promise<string|null>} version string (without leading 'v') or null if not found
  */
 async function getCurrentNodeVersion() {
   try {
-    const { stdout } = await runNvmCmd(["current"]);
-    const version = stdout.trim().replace(/^v/, "");
-    if (/^\d+\.\d+\.\d+$/.test(version)) {
+    const version = await getBackend().current();
+    if (version) {
       return version;
     }
   } catch {
     // fallback below
   }
   try {
-    const { stdout } = await execa("node", ["-v"], { shell: true });
+    const { stdout } = await execa("node", ["-v"]);
     return stdout.trim().replace(/^v/, "");
   } catch {
     return null;
@@ -331,23 +625,40 @@ async function getCurrentNodeVersion() {
 }
 
 /**
- * Get installed version of a global npm package
+ * Version the version manager starts new shells with (nvm's `default` alias,
+ * fnm's default alias, Volta's default platform, asdf's global .tool-versions, ...)
+ * @param {string[]} installedVersions
+ * @returns {string|null} installed version or null if none is set
+ */
+function getDefaultNodeVersion(installedVersions) {
+  return getBackend().getDefault(installedVersions);
+}
+
+/**
+ * Get installed version of a global npm package for the active Node.js version
  * @param {string} packageName
  * @returns {Promise<string|null>} version string or null if not installed
  */
 async function getInstalledPackageVersion(packageName) {
+  return (await getInstalledPackageVersions())[packageName] || null;
+}
+
+/**
+ * Get the versions of every package installed globally for the active Node.js version
+ * with a single `npm ls -g`
+ * @returns {Promise<Object<string, string>>} version by package name, empty on failure
+ */
+async function getInstalledPackageVersions() {
   try {
-    const { stdout } = await execa(
-      "npm",
-      ["ls", "-g", packageName, "--json", "--depth=0"],
-      { shell: true }
+    const { stdout } = await execa("npm", ["ls", "-g", "--json", "--depth=0"]);
+    const dependencies = JSON.parse(stdout).dependencies || {};
+    return Object.fromEntries(
+      Object.entries(dependencies)
+        .filter(([, info]) => info && info.version)
+        .map(([name, info]) => [name, info.version])
     );
-    const data = JSON.parse(stdout);
-    return data.dependencies && data.dependencies[packageName]
-      ? data.dependencies[packageName].version
-      : null;
   } catch {
-    return null;
+    return {};
   }
 }
 
@@ -358,10 +669,8 @@ async function getInstalledPackageVersion(packageName) {
  */
 async function getLatestPackageVersion(packageName) {
   try {
-    const { stdout } = await execa("npm", ["view", packageName, "version"], {
-      shell: true,
-    });
-    return stdout.trim();
+    const { getPackageInfo } = require("./registry");
+    return (await getPackageInfo(packageName)).latest;
   } catch {
     return null;
   }
@@ -374,22 +683,150 @@ async function getLatestPackageVersion(packageName) {
  */
 async function getPackageDescription(packageName) {
   try {
-    const { stdout } = await execa(
-      "npm",
-      ["view", packageName, "description"],
-      { shell: true }
-    );
-    return stdout.trim() || "No description available.";
+    const { getPackageInfo } = require("./registry");
+    return (await getPackageInfo(packageName)).description || "No description available.";
   } catch {
     return "No description available.";
   }
 }
 
 /**
- * Install a global npm package
+ * Version-pinning strategies for reinstalling a package:
+ * exact = same version, minor = newest x.y.*, major = newest x.*, latest = registry latest
+ */
+const INSTALL_STRATEGIES = ["exact", "minor", "major", "latest"];
+
+/**
+ * Build the npm install spec for a package according to a pinning strategy.
+ * Ranges are written as `1.2` / `1` rather than `~1.2.3` / `^1.2.3` so they survive cmd.exe,
+ * where `^` is an escape character.
  * @param {string} packageName
- * @returns {Promise<boolean>} success
+ * @param {string|null} version installed (source) version
+ * @param {string} [strategy='latest'] one of INSTALL_STRATEGIES
+ * @returns {string} spec such as 'typescript@5.4.5', 'typescript@5.4', 'typescript@5' or 'typescript'
+ */
+function getPackageInstallSpec(packageName, version, strategy = "latest") {
+  if (!INSTALL_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown install strategy '${strategy}'. Use one of: ${INSTALL_STRATEGIES.join(", ")}`
+    );
+  }
+  const match = version && version.match(/^(\d+)\.(\d+)\.(\d+)/);
+  if (!match || strategy === "latest") {
+    return packageName;
+  }
+  const [, major, minor] = match;
+  if (strategy === "exact") {
+    return `${packageName}@${version}`;
+  }
+  if (strategy === "minor") {
+    return `${packageName}@${major}.${minor}`;
+  }
+  // major: for 0.x packages the minor is the breaking line
+  return major === "0"
+    ? `${packageName}@0.${minor}`
+    : `${packageName}@${major}`;
+}
+
+/**
+ * Spec that reinstalls a global package from where it originally came from:
+ * the registry (following the pinning strategy or the package's pinned range), or its git URL,
+ * tarball or local path. Linked packages are re-linked instead, see linkGlobalPackage.
+ * @param {{name: string, version: string|null, source?: string, resolved?: string|null, range?: string}} pkg
+ * @param {string} [strategy='latest'] one of INSTALL_STRATEGIES, for registry packages
+ * @returns {string}
+ */
+function getPackageReinstallSpec(pkg, strategy = "latest") {
+  if (pkg.resolved && ["git", "tarball", "file"].includes(pkg.source)) {
+    return pkg.resolved;
+  }
+  // A pin rule's range takes precedence over the strategy
+  if (pkg.range) {
+    return `${pkg.name}@${pkg.range}`;
+  }
+  return getPackageInstallSpec(pkg.name, pkg.version, strategy);
+}
+
+/**
+ * How a package will be restored, for prompts and progress output
+ * @param {{name: string, version: string|null, source?: string, resolved?: string|null}} pkg
+ * @param {string} [strategy='latest']
+ * @returns {string} e.g. 'typescript@5', 'git+https://...' or 'mycli (linked from /src/mycli)'
+ */
+function getPackageRestoreLabel(pkg, strategy = "latest") {
+  if (pkg.source === "link" && pkg.resolved) {
+    return `${pkg.name} (linked from ${pkg.resolved})`;
+  }
+  return getPackageReinstallSpec(pkg, strategy);
+}
+
+/**
+ * Run a command with a specific Node.js version active, through the version manager.
+ * This is the only way commands are run inside a version: arguments are passed as argv,
+ * or quoted for the shell when the version manager needs one (nvm, nvm-windows),
+ * so versions and package specs are never interpreted as shell code.
+ * @param {string} version
+ * @param {string} command e.g. 'npm'
+ * @param {string[]} [args]
+ * @returns {Promise<import('execa').ExecaReturnValue>}
+ * @throws {Error} for an invalid version, or when the command fails
+ */
+async function runInNodeVersion(version, command, args = []) {
+  return getBackend().exec(assertValidNodeVersion(version), command, args);
+}
+
+/**
+ * Run a single `npm install -g` for one or more package specs
+ * @param {string[]} packageSpecs
+ * @param {string} [nodeVersion] Optional Node.js version to use for install
+ * @returns {Promise<void>} rejects when npm fails
+ */
+async function runGlobalInstall(packageSpecs, nodeVersion) {
+  packageSpecs.forEach(assertValidPackageSpec);
+  if (nodeVersion) {
+    await runInNodeVersion(nodeVersion, "npm", ["install", "-g", ...packageSpecs]);
+  } else {
+    await execa("npm", ["install", "-g", ...packageSpecs]);
+  }
+}
+
+/**
+ * Package name of a registry install spec such as 'typescript', 'typescript@5' or '@scope/pkg@^1.2'
+ * @param {string} spec
+ * @returns {string|null} null for git URLs, tarballs and local paths
  */
+function getPackageSpecName(spec) {
+  const match = spec.match(/^((?:@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*)(?:@.*)?$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * What installed specs resolved to, for the history: 'typescript' or 'typescript@5' becomes
+ * 'typescript@5.4.5', a git URL or tarball becomes the name and version of the package it installed
+ * @param {string[]} specs successfully installed specs
+ * @param {string} [nodeVersion] defaults to the active Node.js version
+ * @returns {Promise<Object<string, string>>} `name@version` by spec; specs whose package can't be found map to themselves
+ */
+async function getInstalledSpecLabels(specs, nodeVersion) {
+  let packages = [];
+  try {
+    packages = nodeVersion
+      ? await readGlobalPackages(nodeVersion, getBackend(), { native: false })
+      : Object.entries(await getInstalledPackageVersions()).map(([name, version]) => ({ name, version }));
+  } catch {
+    // Record the specs as given
+  }
+  return Object.fromEntries(
+    specs.map((spec) => {
+      const name = getPackageSpecName(spec);
+      const pkg = packages.find((candidate) =>
+        name ? candidate.name === name : candidate.resolved === spec
+      );
+      return [spec, pkg && pkg.version ? `${pkg.name}@${pkg.version}` : spec];
+    })
+  );
+}
+
 /**
  * Install a global npm package for a specific Node.js version
  * @param {string} packageName
@@ -398,21 +835,18 @@ async function getPackageDescription(packageName) {
  */
 async function installGlobalPackage(packageName, nodeVersion) {
   try {
-    if (nodeVersion) {
-      const isWindows = process.platform === "win32";
-      if (isWindows) {
-        const cmd = `nvm use ${nodeVersion} > NUL && npm install -g ${packageName}`;
-        await execa.command(cmd, { shell: true });
-      } else {
-        const nvmDir = getNvmDir();
-        const cmd = `export NVM_DIR=\"${nvmDir}\"; . \"${nvmDir}/nvm.sh\"; nvm use ${nodeVersion} > /dev/null; npm install -g ${packageName}`;
-        await execa.command(cmd, { shell: true });
-      }
-    } else {
-      await execa("npm", ["install", "-g", packageName], { shell: true });
-    }
+    await runGlobalInstall([packageName], nodeVersion);
+    const labels = await getInstalledSpecLabels([packageName], nodeVersion);
+    recordOperation({ action: "package-install", node: nodeVersion, package: labels[packageName], success: true });
     return true;
   } catch (error) {
+    recordOperation({
+      action: "package-install",
+      node: nodeVersion,
+      package: packageName,
+      success: false,
+      error: error.message,
+    });
     console.error(
       chalk.red(
         `Failed to install ${packageName} for Node.js ${nodeVersion || ""}:`
@@ -424,21 +858,251 @@ async function installGlobalPackage(packageName, nodeVersion) {
 }
 
 /**
- * Check if a Node.js version is still listed in `nvm ls`
- * Uses regex word boundary to avoid partial matches
+ * Install several global npm packages with one `npm install -g a b c`, so nvm is
+ * bootstrapped and dependencies are resolved once per target version.
+ * If the batch fails, packages are retried one at a time so a single bad
+ * package is reported on its own. Invalid specs are reported as failed without running npm.
+ * @param {string[]} packageSpecs
+ * @param {string} [nodeVersion] Optional Node.js version to use for install
+ * @returns {Promise<{installed: string[], failed: string[]}>}
+ */
+async function installGlobalPackages(packageSpecs, nodeVersion) {
+  const installed = [];
+  const failed = [];
+
+  // Reject invalid specs up front so they don't fail the whole batch
+  const validSpecs = packageSpecs.filter((spec) => {
+    try {
+      assertValidPackageSpec(spec);
+      return true;
+    } catch (error) {
+      console.error(chalk.red(`Skipping ${spec}:`), error.message);
+      recordOperation({ action: "package-install", node: nodeVersion, package: spec, success: false, error: error.message });
+      failed.push(spec);
+      return false;
+    }
+  });
+
+  if (validSpecs.length === 0) {
+    return { installed, failed };
+  }
+  if (validSpecs.length === 1) {
+    const success = await installGlobalPackage(validSpecs[0], nodeVersion);
+    (success ? installed : failed).push(validSpecs[0]);
+    return { installed, failed };
+  }
+
+  try {
+    await runGlobalInstall(validSpecs, nodeVersion);
+    const labels = await getInstalledSpecLabels(validSpecs, nodeVersion);
+    validSpecs.forEach((spec) =>
+      recordOperation({ action: "package-install", node: nodeVersion, package: labels[spec], success: true })
+    );
+    return { installed: [...validSpecs], failed };
+  } catch (error) {
+    console.log(
+      chalk.yellow(
+        `\nBatch install failed (${error.shortMessage || error.message}), retrying packages one at a time...`
+      )
+    );
+  }
+
+  for (const spec of validSpecs) {
+    const spinner = ora(`Installing ${spec}...`).start();
+    if (await installGlobalPackage(spec, nodeVersion)) {
+      spinner.succeed(`Installed ${spec}`);
+      installed.push(spec);
+    } else {
+      spinner.fail(`Failed to install ${spec}`);
+      failed.push(spec);
+    }
+  }
+  return { installed, failed };
+}
+
+/**
+ * Remove global npm packages from a Node.js version with one `npm uninstall -g a b c`
+ * @param {string[]} packageNames
+ * @param {string} nodeVersion
+ * @returns {Promise<boolean>} success
+ */
+async function uninstallGlobalPackages(packageNames, nodeVersion) {
+  if (packageNames.length === 0) return true;
+  try {
+    packageNames.forEach(assertValidPackageSpec);
+    await runInNodeVersion(nodeVersion, "npm", ["uninstall", "-g", ...packageNames]);
+    packageNames.forEach((name) =>
+      recordOperation({ action: "package-uninstall", node: nodeVersion, package: name, success: true })
+    );
+    return true;
+  } catch (error) {
+    packageNames.forEach((name) =>
+      recordOperation({
+        action: "package-uninstall",
+        node: nodeVersion,
+        package: name,
+        success: false,
+        error: error.message,
+      })
+    );
+    console.error(
+      chalk.red(`Failed to uninstall ${packageNames.join(", ")} from Node.js ${nodeVersion}:`),
+      error.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Link a local package directory into a Node.js version's globals, like running
+ * `npm link` inside it
+ * @param {string} packageDir
+ * @param {string} nodeVersion
+ * @returns {Promise<boolean>} success
+ */
+async function linkGlobalPackage(packageDir, nodeVersion) {
+  try {
+    if (!fs.existsSync(packageDir)) {
+      throw new Error(`link target ${packageDir} does not exist`);
+    }
+    // npm 9 copies local directories unless install-links is off
+    await runInNodeVersion(nodeVersion, "npm", [
+      "install",
+      "-g",
+      "--install-links=false",
+      assertValidPackageSpec(packageDir),
+    ]);
+    recordOperation({ action: "package-link", node: nodeVersion, package: packageDir, success: true });
+    return true;
+  } catch (error) {
+    recordOperation({
+      action: "package-link",
+      node: nodeVersion,
+      package: packageDir,
+      success: false,
+      error: error.message,
+    });
+    console.error(
+      chalk.red(`Failed to link ${packageDir} for Node.js ${nodeVersion}:`),
+      error.message
+    );
+    return false;
+  }
+}
+
+/**
+ * Reinstall global packages into a Node.js version from their original sources.
+ * Registry, git, tarball and local-path packages are installed in one batch,
+ * linked packages are re-linked to the same directory.
+ * @param {{name: string, version: string|null, source?: string, resolved?: string|null}[]} packages
+ * @param {string} nodeVersion
+ * @param {string} [strategy='latest'] pinning strategy for registry packages
+ * @returns {Promise<{installed: string[], failed: string[]}>} labels from getPackageRestoreLabel
+ */
+async function restoreGlobalPackages(packages, nodeVersion, strategy = "latest") {
+  const linked = packages.filter((pkg) => pkg.source === "link" && pkg.resolved);
+  const others = packages.filter((pkg) => !linked.includes(pkg));
+
+  const { installed, failed } = await installGlobalPackages(
+    others.map((pkg) => getPackageReinstallSpec(pkg, strategy)),
+    nodeVersion
+  );
+  for (const pkg of linked) {
+    const label = getPackageRestoreLabel(pkg, strategy);
+    if (await linkGlobalPackage(pkg.resolved, nodeVersion)) {
+      installed.push(label);
+    } else {
+      failed.push(label);
+    }
+  }
+  return { installed, failed };
+}
+
+/**
+ * Check if a Node.js version is still listed by the version manager (`nvm ls`)
  * @param {string} version
  * @returns {Promise<boolean>}
  */
 async function isVersionStillListed(version) {
   try {
-    const { stdout } = await runNvmCmd(["list"]);
-    const regex = new RegExp(`\\b${version}\\b`);
-    return regex.test(stdout);
+    return await getBackend().isListed(version);
   } catch {
     return false;
   }
 }
 
+/**
+ * Map over items with at most `limit` async calls in flight, preserving order
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Process exit codes shared by all commands
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  PARTIAL_FAILURE: 1,
+  ABORTED: 2,
+  ISSUES_FOUND: 3,
+};
+
+/**
+ * Whether prompts can be shown (stdin and stdout are both terminals)
+ * @returns {boolean}
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Parse a comma-separated CLI option into a list of trimmed values
+ * @param {string} [value]
+ * @param {{versions?: boolean}} [options] strip a leading 'v' from each entry
+ * @returns {string[]|null} null when the option was not given
+ */
+function parseListOption(value, options = {}) {
+  if (!value) return null;
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => (options.versions ? item.replace(/^v/, "") : item));
+}
+
+/**
+ * Stop a command that would need to prompt while stdin is not a terminal.
+ * Sets the ABORTED exit code and explains which flag answers the prompt.
+ * @param {string} hint e.g. 'Re-run with --yes to uninstall without prompting.'
+ * @returns {boolean} true when the caller must abort
+ */
+function abortIfNonInteractive(hint) {
+  if (isInteractive()) return false;
+  console.error(chalk.red("Cannot prompt for input: stdin is not a terminal."));
+  console.error(chalk.yellow(hint));
+  process.exitCode = EXIT_CODES.ABORTED;
+  return true;
+}
+
 /**
  * Prompt user to confirm an action
  * @param {string} message
@@ -461,17 +1125,52 @@ module.exports = {
   normalizeInput,
   getInstalledNodeVersions,
   getLatestLtsVersion,
+  resolveNodeVersion,
+  matchInstalledVersion,
+  selectInstalledVersions,
   getNvmDir,
+  getDataDir,
+  getNodeVersionDir,
+  getGlobalModulesDir,
   switchNodeVersion,
   installNodeVersion,
   uninstallNodeVersion,
   getGlobalPackages,
   getGlobalPackagesForVersion,
+  getGlobalPackageDetailsForVersion,
+  readGlobalPackages,
+  getPackageSource,
+  listPackageDirs,
+  findNativeAddons,
+  getNodeAbi,
   getCurrentNodeVersion,
+  getDefaultNodeVersion,
+  resolveNvmAlias,
   getInstalledPackageVersion,
+  getInstalledPackageVersions,
   getLatestPackageVersion,
   getPackageDescription,
+  INSTALL_STRATEGIES,
+  getPackageInstallSpec,
+  getPackageReinstallSpec,
+  getPackageRestoreLabel,
+  runInNodeVersion,
   installGlobalPackage,
+  installGlobalPackages,
+  uninstallGlobalPackages,
+  linkGlobalPackage,
+  restoreGlobalPackages,
+  quotePosixArg,
+  quoteWindowsArg,
+  toCommandLine,
+  isValidNodeVersion,
+  assertValidNodeVersion,
+  assertValidPackageSpec,
   isVersionStillListed,
+  mapWithConcurrency,
+  EXIT_CODES,
+  isInteractive,
+  parseListOption,
+  abortIfNonInteractive,
   confirmAction
 };